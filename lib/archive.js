@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+const JSZip = require("jszip");
+const { sanitizeFilename } = require("./utils");
+
+/**
+ * Find a file in the directory that contains "paperbackarchive" after sanitization.
+ * @param {string} directory - The directory to search in.
+ * @returns {string|null} - The path to the found file, or null if not found.
+ */
+function findPaperbackArchiveFile(directory) {
+	const files = fs.readdirSync(directory);
+	for (const file of files) {
+		const sanitizedFilename = sanitizeFilename(file);
+		if (sanitizedFilename.includes("paperbackarchive")) {
+			const filePath = path.join(directory, file);
+			if (fs.lstatSync(filePath).isFile()) {
+				return filePath;
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Find the most recently modified file in the directory that contains "paperbackarchive" after sanitization.
+ * @param {string} directory - The directory to search in.
+ * @returns {string|null} - The path to the found file, or null if not found.
+ */
+function findNewestPaperbackArchiveFile(directory) {
+	let newestFilePath = null;
+	let newestMtime = 0;
+	for (const file of fs.readdirSync(directory)) {
+		if (!sanitizeFilename(file).includes("paperbackarchive")) continue;
+
+		const filePath = path.join(directory, file);
+		const stats = fs.lstatSync(filePath);
+		if (stats.isFile() && stats.mtimeMs > newestMtime) {
+			newestFilePath = filePath;
+			newestMtime = stats.mtimeMs;
+		}
+	}
+	return newestFilePath;
+}
+
+/**
+ * Find a file inside the zip archive whose sanitized name matches a predicate.
+ * @param {Object} zipContent - The loaded JSZip archive.
+ * @param {Function} predicate - Called with the sanitized filename.
+ * @returns {string|null} - The filename, or null if not found.
+ */
+function findZipFile(zipContent, predicate) {
+	for (const filename of Object.keys(zipContent.files)) {
+		if (predicate(sanitizeFilename(filename))) {
+			return filename;
+		}
+	}
+	return null;
+}
+
+/**
+ * Read and parse a JSON file inside the zip archive.
+ * @param {Object} zipContent - The loaded JSZip archive.
+ * @param {string|null} filename - The filename, or null for a missing file.
+ * @returns {Promise<Object>} - The parsed JSON object, or an empty object for a missing file.
+ */
+async function readZipJson(zipContent, filename) {
+	if (!filename) return {};
+	const content = await zipContent.file(filename).async("string");
+	return JSON.parse(content);
+}
+
+/**
+ * Read a Paperback backup archive.
+ * @param {string} archiveFilePath - The path to the paperbackarchive zip file.
+ * @returns {Promise<Object>} - The "sourcemanga", "chapter" and "chapterprogressmarker" JSON objects
+ * as sourceManga, chapters and chapterProgressMarkers. Only sourceManga is required to be in the archive.
+ */
+async function loadArchive(archiveFilePath) {
+	// Read the zip file and load it in memory
+	const zipData = fs.readFileSync(archiveFilePath);
+	const zip = new JSZip();
+	const zipContent = await zip.loadAsync(zipData);
+
+	// Find the "sourcemanga" file inside the zip archive
+	const sourceMangaFile = findZipFile(zipContent, (name) =>
+		name.includes("sourcemanga")
+	);
+	if (!sourceMangaFile) {
+		throw new Error(
+			`No sourcemanga file found in the zip archive ${archiveFilePath}.`
+		);
+	}
+
+	// Chapters and their reading progress are optional
+	const chapterFile = findZipFile(
+		zipContent,
+		(name) =>
+			name.includes("chapter") &&
+			!name.includes("progressmarker") &&
+			!name.includes("details")
+	);
+	const progressMarkerFile = findZipFile(zipContent, (name) =>
+		name.includes("chapterprogressmarker")
+	);
+
+	return {
+		sourceManga: await readZipJson(zipContent, sourceMangaFile),
+		chapters: await readZipJson(zipContent, chapterFile),
+		chapterProgressMarkers: await readZipJson(
+			zipContent,
+			progressMarkerFile
+		),
+	};
+}
+
+/**
+ * Read the "sourcemanga" entries out of a Paperback backup archive.
+ * @param {string} archiveFilePath - The path to the paperbackarchive zip file.
+ * @returns {Promise<Object>} - The sourcemanga JSON object, with entries as properties.
+ */
+async function loadSourceManga(archiveFilePath) {
+	const { sourceManga } = await loadArchive(archiveFilePath);
+	return sourceManga;
+}
+
+/**
+ * Resolve the archive to use, either the given path or the first one found in a directory.
+ * @param {string} [archiveFilePath] - An explicit path to the archive.
+ * @param {string} directory - The directory to search in when no path is given.
+ * @returns {string} - The path to the archive.
+ */
+function resolveArchiveFile(archiveFilePath, directory) {
+	if (archiveFilePath) {
+		if (!fs.existsSync(archiveFilePath)) {
+			throw new Error(`Archive file ${archiveFilePath} does not exist.`);
+		}
+		return archiveFilePath;
+	}
+
+	const foundFilePath = findPaperbackArchiveFile(directory);
+	if (!foundFilePath) {
+		throw new Error(
+			`No paperbackarchive file found in the directory ${directory}.`
+		);
+	}
+	return foundFilePath;
+}
+
+module.exports = {
+	findPaperbackArchiveFile,
+	findNewestPaperbackArchiveFile,
+	loadArchive,
+	loadSourceManga,
+	resolveArchiveFile,
+};
@@ -0,0 +1,159 @@
+const logger = require("./logger");
+const { isAuthError } = require("./proxy");
+
+// Consecutive proxy failures after which the breaker opens
+const defaultThreshold = 5;
+
+// Milliseconds between checks of the proxy while the breaker is open, doubled after each failed check
+const defaultProbeInterval = 30000;
+const defaultMaxProbeInterval = 300000;
+
+/**
+ * A circuit breaker for the proxy server. After a number of consecutive proxy failures it
+ * opens: chapters wait instead of being sent, while the proxy is checked on an interval,
+ * and the breaker closes again once the proxy answers. In "abort" mode, or when the proxy
+ * rejects the token (which waiting won't fix), the run is stopped instead.
+ */
+class CircuitBreaker {
+	/**
+	 * @param {Object} options - The breaker options.
+	 * @param {Function} options.probe - Checks the proxy, throws while it is down.
+	 * @param {number} [options.threshold] - Consecutive failures that open the breaker (default: 5).
+	 * @param {string} [options.mode] - "pause" to wait for the proxy, or "abort" to stop the run (default: "pause").
+	 * @param {number} [options.probeInterval] - Milliseconds before the first check of the proxy (default: 30s).
+	 * @param {number} [options.maxProbeInterval] - Upper bound of the interval between checks (default: 5min).
+	 * @param {Function} [options.onOpen] - Called with the last error when the breaker opens.
+	 * @param {Function} [options.onClose] - Called when the proxy answers again.
+	 */
+	constructor(options) {
+		this.probe = options.probe;
+		this.threshold = options.threshold ?? defaultThreshold;
+		this.mode = options.mode ?? "pause";
+		this.probeInterval = options.probeInterval ?? defaultProbeInterval;
+		this.maxProbeInterval =
+			options.maxProbeInterval ?? defaultMaxProbeInterval;
+		this.onOpen = options.onOpen;
+		this.onClose = options.onClose;
+
+		this.failures = 0;
+		this.isOpen = false;
+		this.stopping = false; // Whether the run stops instead of waiting for the proxy
+		this.waiting = [];
+		this.timer = null;
+		this.disposed = false; // Set at the end of the run, probes in flight are ignored then
+	}
+
+	/**
+	 * Record a successful request to the proxy.
+	 */
+	recordSuccess() {
+		this.failures = 0;
+	}
+
+	/**
+	 * Record a failed request to the proxy, opening the breaker if needed.
+	 * @param {RequestError} error - The classified error.
+	 */
+	recordFailure(error) {
+		this.failures++;
+		if (this.isOpen) return;
+		if (isAuthError(error) || this.failures >= this.threshold) {
+			this.open(error);
+		}
+	}
+
+	/**
+	 * Open the breaker, and start checking the proxy unless the run stops.
+	 * @param {RequestError} error - The error that opened it.
+	 */
+	open(error) {
+		this.isOpen = true;
+		this.stopping = this.mode === "abort" || isAuthError(error);
+		logger.warn(
+			`The proxy failed ${this.failures} time(s) in a row (${
+				error.message
+			}), ${
+				this.stopping
+					? "stopping the run"
+					: "pausing until it answers again"
+			}`,
+			{ failures: this.failures, errorKind: error.kind }
+		);
+		this.onOpen?.(error);
+		if (!this.stopping && !this.disposed) {
+			this.scheduleProbe(this.probeInterval);
+		}
+	}
+
+	/**
+	 * Check the proxy after a delay, closing the breaker if it answers.
+	 * @param {number} delay - The delay in milliseconds.
+	 */
+	scheduleProbe(delay) {
+		this.timer = setTimeout(async () => {
+			this.timer = null;
+			try {
+				await this.probe();
+			} catch (error) {
+				if (this.disposed || !this.isOpen) return;
+				const nextDelay = Math.min(delay * 2, this.maxProbeInterval);
+				logger.info(
+					`The proxy is still down (${
+						error.message
+					}), checking again in ${nextDelay / 1000}s`,
+					{ errorKind: error.kind }
+				);
+				this.scheduleProbe(nextDelay);
+				return;
+			}
+			if (this.disposed) return;
+			logger.info("The proxy answers again, resuming");
+			this.close();
+		}, delay);
+	}
+
+	/**
+	 * Close the breaker and let the waiting chapters go.
+	 */
+	close() {
+		const wasOpen = this.isOpen;
+		this.isOpen = false;
+		this.stopping = false;
+		this.failures = 0;
+		clearTimeout(this.timer);
+		this.timer = null;
+		for (const resolve of this.waiting.splice(0)) resolve();
+		if (wasOpen) this.onClose?.();
+	}
+
+	/**
+	 * Wait while the breaker is open.
+	 * @param {AbortSignal} [signal] - Stops waiting once aborted.
+	 * @returns {Promise<void>}
+	 */
+	wait(signal) {
+		if (!this.isOpen || signal?.aborted) return Promise.resolve();
+		return new Promise((resolve) => {
+			const done = () => {
+				signal?.removeEventListener("abort", done);
+				resolve();
+			};
+			this.waiting.push(done);
+			signal?.addEventListener("abort", done);
+		});
+	}
+
+	/**
+	 * Stop checking the proxy and let every waiting chapter go, at the end of a run.
+	 */
+	dispose() {
+		this.disposed = true;
+		clearTimeout(this.timer);
+		this.timer = null;
+		for (const resolve of this.waiting.splice(0)) resolve();
+	}
+}
+
+module.exports = {
+	CircuitBreaker,
+};
@@ -0,0 +1,246 @@
+const fs = require("fs");
+const puppeteer = require("puppeteer"); // For handling Cloudflare protection
+const logger = require("./logger");
+const { RequestError, statusKind } = require("./request");
+const { sleep } = require("./utils");
+
+// Pages kept open and reused by the sources that need the browser
+const defaultPageCount = 2;
+
+// Milliseconds to wait for a Cloudflare challenge to let the page through
+const defaultChallengeTimeout = 30000;
+
+// Title of the Cloudflare interstitial pages ("Just a moment...", "Attention Required!")
+const challengeTitlePattern =
+	/just a moment|attention required|checking your browser/i;
+
+/**
+ * Check whether a page shows a Cloudflare challenge instead of the requested page.
+ * @param {Object} page - The Puppeteer page.
+ * @param {Object} [response] - The response of the navigation, if any.
+ * @returns {Promise<boolean>} - Whether the page is a challenge.
+ */
+async function isChallengePage(page, response) {
+	if (response?.headers()["cf-mitigated"] === "challenge") return true;
+	return page.evaluate(
+		(titlePattern) =>
+			new RegExp(titlePattern, "i").test(document.title) ||
+			document.querySelector(
+				"#challenge-form, #challenge-running, #cf-challenge-running, script[src*='/cdn-cgi/challenge-platform/']"
+			) !== null,
+		challengeTitlePattern.source
+	);
+}
+
+/**
+ * A Puppeteer browser shared by the sources that need one. The browser is only launched
+ * when a page is first requested, and its pages are reused between requests.
+ */
+class BrowserPool {
+	/**
+	 * @param {Object} [options] - The pool options.
+	 * @param {number} [options.pages] - Pages open at the same time (default: 2).
+	 * @param {string} [options.userAgent] - The user agent of the pages (default: the browser's own, without "Headless").
+	 * @param {string|null} [options.cookieFile] - File the cookies are loaded from and saved to, none when null.
+	 * @param {number} [options.challengeTimeout] - Milliseconds to wait for a Cloudflare challenge to pass.
+	 */
+	constructor(options = {}) {
+		this.size = options.pages ?? defaultPageCount;
+		this.userAgent = options.userAgent ?? null;
+		this.cookieFile = options.cookieFile ?? null;
+		this.challengeTimeout =
+			options.challengeTimeout ?? defaultChallengeTimeout;
+		this.launching = null;
+		this.browser = null;
+		this.idle = [];
+		this.open = 0;
+		this.waiting = [];
+	}
+
+	/**
+	 * Launch the browser on first use and load the saved cookies.
+	 * @returns {Promise<Object>} - The Puppeteer browser.
+	 */
+	launch() {
+		this.launching ??= (async () => {
+			logger.debug("Launching the browser");
+			let browser;
+			try {
+				browser = await puppeteer.launch({ headless: true });
+			} catch (error) {
+				this.launching = null; // Try again on the next request
+				throw error;
+			}
+			this.userAgent ??= (await browser.userAgent()).replace(
+				"HeadlessChrome",
+				"Chrome"
+			);
+			if (this.cookieFile && fs.existsSync(this.cookieFile)) {
+				try {
+					const cookies = JSON.parse(
+						fs.readFileSync(this.cookieFile, "utf-8")
+					);
+					await browser.setCookie(...cookies);
+				} catch (error) {
+					logger.warn(
+						`Ignoring the cookies in ${this.cookieFile}: ${error.message}`
+					);
+				}
+			}
+			this.browser = browser;
+			return browser;
+		})();
+		return this.launching;
+	}
+
+	/**
+	 * Take an idle page, open a new one, or wait for one to be released.
+	 * @returns {Promise<Object>} - The Puppeteer page.
+	 */
+	async acquirePage() {
+		if (this.idle.length > 0) return this.idle.pop();
+		if (this.open >= this.size) {
+			return new Promise((resolve, reject) =>
+				this.waiting.push({ resolve, reject })
+			);
+		}
+
+		this.open++;
+		try {
+			const browser = await this.launch();
+			const page = await browser.newPage();
+			await page.setUserAgent(this.userAgent);
+			return page;
+		} catch (error) {
+			this.open--;
+			throw error;
+		}
+	}
+
+	/**
+	 * Give a page back to the pool, or close it if it can't be reused.
+	 * @param {Object} page - The Puppeteer page.
+	 * @param {boolean} reusable - Whether the page is in a usable state.
+	 */
+	async releasePage(page, reusable) {
+		const next = this.waiting.shift();
+		if (reusable) {
+			if (next) next.resolve(page);
+			else this.idle.push(page);
+			return;
+		}
+
+		this.open--;
+		await page.close().catch(() => {});
+		// Let the next request open a page in its place
+		if (next) this.acquirePage().then(next.resolve, next.reject);
+	}
+
+	/**
+	 * Wait for a Cloudflare challenge to let the page through.
+	 * @param {Object} page - The Puppeteer page showing the challenge.
+	 * @param {string} url - The requested URL, for errors.
+	 * @param {number} status - The HTTP status of the challenge page.
+	 */
+	async waitForChallenge(page, url, status) {
+		logger.info(`Waiting for the Cloudflare challenge of ${url}`, {
+			url,
+		});
+		const deadline = Date.now() + this.challengeTimeout;
+		while (Date.now() < deadline) {
+			await sleep(1000);
+			if (!(await isChallengePage(page).catch(() => true))) {
+				await page
+					.waitForNetworkIdle({ idleTime: 500, timeout: 10000 })
+					.catch(() => {});
+				await this.saveCookies();
+				return;
+			}
+		}
+		throw new RequestError(
+			`Cloudflare challenge not passed within ${
+				this.challengeTimeout / 1000
+			}s for ${url}`,
+			{ kind: "rate-limit", retryable: true, status, url }
+		);
+	}
+
+	/**
+	 * Load a page and return its HTML, waiting out Cloudflare challenges.
+	 * @param {string} url - The page URL.
+	 * @param {Object} [options] - The request options.
+	 * @param {string} [options.referer] - The Referer header to send.
+	 * @returns {Promise<string>} - The page HTML.
+	 * @throws {RequestError} - If the page has an error status or the challenge doesn't pass.
+	 */
+	async fetchContent(url, options = {}) {
+		const page = await this.acquirePage();
+
+		let reusable = false;
+		try {
+			await page.setExtraHTTPHeaders(
+				options.referer ? { Referer: options.referer } : {}
+			);
+			const response = await page.goto(url, {
+				waitUntil: "networkidle2",
+			});
+			const status = response?.status() ?? 200;
+
+			if (await isChallengePage(page, response)) {
+				await this.waitForChallenge(page, url, status);
+			} else if (status >= 400) {
+				const kind = statusKind(status);
+				throw new RequestError(
+					`${kind} error (HTTP ${status}) for ${url}`,
+					{ kind, retryable: kind !== "client", status, url }
+				);
+			}
+
+			const content = await page.content();
+			reusable = true;
+			return content;
+		} finally {
+			await this.releasePage(page, reusable);
+		}
+	}
+
+	/**
+	 * Save the cookies of the browser, ie the Cloudflare clearance, for the next runs.
+	 */
+	async saveCookies() {
+		if (!this.cookieFile || !this.browser) return;
+		try {
+			const cookies = await this.browser.cookies();
+			fs.writeFileSync(
+				this.cookieFile,
+				JSON.stringify(cookies, null, 2),
+				"utf-8"
+			);
+		} catch (error) {
+			logger.warn(
+				`Unable to save the cookies to ${this.cookieFile}: ${error.message}`
+			);
+		}
+	}
+
+	/**
+	 * Save the cookies and close the browser, if it was launched.
+	 */
+	async close() {
+		const launching = this.launching;
+		if (!launching) return;
+		await launching.catch(() => {});
+		if (!this.browser) return;
+
+		await this.saveCookies();
+		await this.browser.close();
+		this.browser = null;
+		this.launching = null;
+		this.idle = [];
+		this.open = 0;
+	}
+}
+
+module.exports = {
+	BrowserPool,
+};
@@ -0,0 +1,484 @@
+const fs = require("fs");
+const { storageForFile } = require("./storage");
+const logger = require("./logger");
+
+// Version of the cache file format written by saveCache
+const cacheVersion = 2;
+
+// Storage backend and unsaved changes of each loaded cache object
+const cacheStates = new WeakMap();
+
+/*
+ * Cache file format (version 2):
+ * {
+ *   "version": 2,
+ *   "sources": {
+ *     "<sourceId>": {
+ *       "<mangaId>": {
+ *         "<chapterId>": {
+ *           "status": "cached" | "failed",
+ *           "attempts": 1, // How many times the chapter was sent to the proxy
+ *           "lastAttempt": "2025-01-01T00:00:00.000Z", // null for migrated chapters
+ *           "pageCount": 20, // null when the proxy fetched the pages itself
+ *           "failedImages": [], // Image URLs the proxy failed to cache
+ *           "error": null, // Message of the last error
+ *           "errorKind": null // Classification of the last error (see RequestError)
+ *         }
+ *       }
+ *     }
+ *   }
+ * }
+ *
+ * Version 1 (no "version" key) stored a boolean per chapter: cache[sourceId][mangaId][chapterId].
+ */
+
+/**
+ * Create an empty cache object.
+ * @returns {Object} - The cache object.
+ */
+function createCache() {
+	return { version: cacheVersion, sources: {} };
+}
+
+/**
+ * Convert a version 1 cache (booleans per chapter) to the current format.
+ * @param {Object} legacyCache - The version 1 cache object.
+ * @returns {Object} - The migrated cache object.
+ */
+function migrateBooleanCache(legacyCache) {
+	const cache = createCache();
+	for (const [sourceId, mangas] of Object.entries(legacyCache)) {
+		cache.sources[sourceId] = {};
+		for (const [mangaId, chapters] of Object.entries(mangas)) {
+			cache.sources[sourceId][mangaId] = {};
+			for (const [chapterId, cached] of Object.entries(chapters)) {
+				cache.sources[sourceId][mangaId][chapterId] = {
+					status: cached ? "cached" : "failed",
+					attempts: 1,
+					lastAttempt: null,
+					pageCount: null,
+					failedImages: [],
+					error: cached
+						? null
+						: "Failed before the cache recorded errors",
+					errorKind: null,
+				};
+			}
+		}
+	}
+	return cache;
+}
+
+/**
+ * Bring a parsed cache file to the current format.
+ * @param {Object} data - The parsed cache file.
+ * @returns {Object} - The cache object.
+ */
+function migrateCache(data) {
+	if (data.version === undefined) {
+		logger.info("Migrating the cache from the boolean format.");
+		return migrateBooleanCache(data);
+	}
+	if (data.version > cacheVersion) {
+		throw new Error(
+			`The cache file has version ${data.version}, but only version ${cacheVersion} is supported. Update the cacher.`
+		);
+	}
+	return data;
+}
+
+/**
+ * Get the persistence state of a cache object, creating it for caches that were never saved.
+ * @param {Object} cache - The cache object.
+ * @param {string} cacheFilePath - The path to the cache file.
+ * @returns {Object} - The storage backend, the changes not saved yet, the number of journal
+ *   entries since the last full write and whether the next save must write the whole cache.
+ */
+function getCacheState(cache, cacheFilePath) {
+	let state = cacheStates.get(cache);
+	if (!state) {
+		state = {
+			storage: storageForFile(cacheFilePath),
+			changes: [],
+			journalEntries: 0,
+			rewrite: true,
+		};
+		cacheStates.set(cache, state);
+	}
+	return state;
+}
+
+/**
+ * Note a change to the cache, so that storage backends with a journal can append it.
+ * @param {Object} cache - The cache object.
+ * @param {Object} entry - The journal entry describing the change.
+ */
+function trackChange(cache, entry) {
+	cacheStates.get(cache)?.changes.push(entry);
+}
+
+/**
+ * Read a cache file and bring it to the current format.
+ * @param {string} cacheFilePath - The path to the cache file.
+ * @param {Object} [storage] - The storage backend of the file (default: from its extension).
+ * @returns {Object} - The cache object.
+ * @throws {SyntaxError} - If the file is corrupt.
+ */
+function readCache(cacheFilePath, storage = storageForFile(cacheFilePath)) {
+	const { data, journalEntries, truncated } = storage.read(cacheFilePath);
+	const cache = migrateCache(data);
+	cacheStates.set(cache, {
+		storage,
+		changes: [],
+		journalEntries,
+		// Migrated, truncated and long journals are written whole on the next save
+		rewrite:
+			cache !== data ||
+			truncated ||
+			journalEntries > (storage.compactAfter ?? 0),
+	});
+	return cache;
+}
+
+/**
+ * Load the cache file if it exists, otherwise return an empty cache.
+ * Older cache files are migrated to the current format. A corrupt cache file is moved aside
+ * and the backup written by saveCache is used instead.
+ * @param {string} cacheFilePath - The path to the cache file.
+ * @returns {Object} - The cache object.
+ */
+function loadCache(cacheFilePath) {
+	if (!fs.existsSync(cacheFilePath)) {
+		return createCache();
+	}
+
+	try {
+		return readCache(cacheFilePath);
+	} catch (error) {
+		if (!(error instanceof SyntaxError)) throw error;
+
+		const corruptFilePath = `${cacheFilePath}.corrupt-${Date.now()}`;
+		fs.renameSync(cacheFilePath, corruptFilePath);
+		logger.error(
+			`The cache ${cacheFilePath} is corrupt (${error.message}), it was moved to ${corruptFilePath}.`,
+			{ cacheFile: cacheFilePath }
+		);
+	}
+
+	const backupFilePath = `${cacheFilePath}.bak`;
+	if (fs.existsSync(backupFilePath)) {
+		try {
+			const cache = readCache(
+				backupFilePath,
+				storageForFile(cacheFilePath)
+			);
+			cacheStates.get(cache).rewrite = true;
+			logger.warn(`Recovered the cache from ${backupFilePath}.`, {
+				cacheFile: cacheFilePath,
+			});
+			return cache;
+		} catch (error) {
+			if (!(error instanceof SyntaxError)) throw error;
+			logger.error(
+				`The cache backup ${backupFilePath} is corrupt too (${error.message}).`,
+				{ cacheFile: cacheFilePath }
+			);
+		}
+	}
+
+	logger.warn("Starting with an empty cache.", { cacheFile: cacheFilePath });
+	return createCache();
+}
+
+/**
+ * Save the changes made to the cache since it was loaded or last saved. Backends with a
+ * journal append the changes, compacting the journal once it grows past compactAfter entries;
+ * the JSON backend rewrites the file atomically, keeping the previous one as a ".bak" backup.
+ * @param {string} cacheFilePath - The path to the cache file.
+ * @param {Object} cache - The cache object to save.
+ */
+function saveCache(cacheFilePath, cache) {
+	const state = getCacheState(cache, cacheFilePath);
+	const { storage, changes } = state;
+	if (!state.rewrite && changes.length === 0) return;
+
+	if (
+		storage.append &&
+		!state.rewrite &&
+		state.journalEntries + changes.length <= storage.compactAfter &&
+		fs.existsSync(cacheFilePath)
+	) {
+		storage.append(cacheFilePath, changes);
+		state.journalEntries += changes.length;
+	} else {
+		storage.write(cacheFilePath, cache);
+		state.journalEntries = 0;
+		state.rewrite = false;
+	}
+	state.changes = [];
+}
+
+/**
+ * Copy a cache to another file, in the storage format of that file (ie to switch between the
+ * JSON file and the journal). The target file is replaced.
+ * @param {Object} cache - The cache object.
+ * @param {string} filePath - The path to write the cache to.
+ */
+function exportCache(cache, filePath) {
+	storageForFile(filePath).write(filePath, cache);
+}
+
+/**
+ * Check whether a chapter record is from a later attempt than another one for the same chapter.
+ * @param {Object} record - The chapter record.
+ * @param {Object} [current] - The record it would replace, if any.
+ * @returns {boolean} - Whether record should replace current.
+ */
+function isLaterRecord(record, current) {
+	return !current || (record.lastAttempt ?? "") > (current.lastAttempt ?? "");
+}
+
+/**
+ * Merge the chapters of another cache into a cache. Chapters missing from the cache are added,
+ * chapters in both are replaced when the imported record is from a later attempt.
+ * @param {Object} cache - The cache object to update.
+ * @param {Object} imported - The cache object to merge in.
+ * @returns {number} - The number of chapter records added or replaced.
+ */
+function mergeCache(cache, imported) {
+	let merged = 0;
+	for (const [sourceId, mangas] of Object.entries(imported.sources)) {
+		for (const [mangaId, chapters] of Object.entries(mangas)) {
+			for (const [chapterId, record] of Object.entries(chapters)) {
+				const current = getChapter(cache, sourceId, mangaId, chapterId);
+				if (!isLaterRecord(record, current)) continue;
+				getMangaChapters(cache, sourceId, mangaId)[chapterId] = record;
+				trackChange(cache, {
+					op: "chapter",
+					sourceId,
+					mangaId,
+					chapterId,
+					record,
+				});
+				merged++;
+			}
+		}
+	}
+	return merged;
+}
+
+/**
+ * Get the chapters of a manga, creating the structure if it is not present.
+ * @param {Object} cache - The cache object.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {string} mangaId - The mangaId.
+ * @returns {Object} - The chapter records keyed by chapterId.
+ */
+function getMangaChapters(cache, sourceId, mangaId) {
+	if (!cache.sources[sourceId]) cache.sources[sourceId] = {};
+	if (!cache.sources[sourceId][mangaId])
+		cache.sources[sourceId][mangaId] = {};
+	return cache.sources[sourceId][mangaId];
+}
+
+/**
+ * Get the record of a chapter.
+ * @param {Object} cache - The cache object.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {string} mangaId - The mangaId.
+ * @param {string} chapterId - The chapterId.
+ * @returns {Object|null} - The chapter record, or null if the chapter was never attempted.
+ */
+function getChapter(cache, sourceId, mangaId, chapterId) {
+	return cache.sources[sourceId]?.[mangaId]?.[chapterId] ?? null;
+}
+
+/**
+ * Check whether a chapter is cached by the proxy.
+ * @param {Object} cache - The cache object.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {string} mangaId - The mangaId.
+ * @param {string} chapterId - The chapterId.
+ * @returns {boolean} - Whether the chapter was cached successfully.
+ */
+function isChapterCached(cache, sourceId, mangaId, chapterId) {
+	return getChapter(cache, sourceId, mangaId, chapterId)?.status === "cached";
+}
+
+/**
+ * Check whether a cached chapter is older than the given age, so it should be sent to the
+ * proxy again in case the proxy evicted it.
+ * @param {Object} record - The chapter record.
+ * @param {number} [maxAge] - The age in milliseconds after which chapters expire, none when omitted.
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {boolean} - Whether the chapter expired.
+ */
+function isChapterStale(record, maxAge, now = Date.now()) {
+	if (maxAge === undefined) return false;
+	if (!record.lastAttempt) return true; // Migrated chapters have no date
+	return now - Date.parse(record.lastAttempt) > maxAge;
+}
+
+/**
+ * Record the result of an attempt to cache a chapter.
+ * @param {Object} cache - The cache object.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {string} mangaId - The mangaId.
+ * @param {string} chapterId - The chapterId.
+ * @param {Object} result - The result of the attempt.
+ * @param {boolean} result.success - Whether every image was cached.
+ * @param {number|null} [result.pageCount] - The number of pages sent to the proxy.
+ * @param {string[]} [result.failedImages] - The image URLs the proxy failed to cache.
+ * @param {Error} [result.error] - The error that stopped the attempt, ideally a RequestError.
+ * @returns {Object} - The updated chapter record.
+ */
+function recordChapter(cache, sourceId, mangaId, chapterId, result) {
+	const chapters = getMangaChapters(cache, sourceId, mangaId);
+	const previous = chapters[chapterId];
+	const record = {
+		status: result.success ? "cached" : "failed",
+		attempts: (previous?.attempts ?? 0) + 1,
+		lastAttempt: new Date().toISOString(),
+		pageCount: result.pageCount ?? null,
+		failedImages: result.failedImages ?? [],
+		error: result.error?.message ?? null,
+		errorKind: result.error?.kind ?? null,
+	};
+	chapters[chapterId] = record;
+	trackChange(cache, { op: "chapter", sourceId, mangaId, chapterId, record });
+	return record;
+}
+
+/**
+ * Count the cached and failed chapters of every manga in the cache.
+ * @param {Object} cache - The cache object.
+ * @returns {Object} - Counts keyed by sourceId, each with totals and a per mangaId breakdown.
+ */
+function summarizeCache(cache) {
+	const summary = {};
+	for (const [sourceId, mangas] of Object.entries(cache.sources)) {
+		const sourceSummary = { cached: 0, failed: 0, manga: {} };
+		for (const [mangaId, chapters] of Object.entries(mangas)) {
+			const mangaSummary = { cached: 0, failed: 0 };
+			for (const record of Object.values(chapters)) {
+				if (record.status === "cached") mangaSummary.cached++;
+				else mangaSummary.failed++;
+			}
+			sourceSummary.cached += mangaSummary.cached;
+			sourceSummary.failed += mangaSummary.failed;
+			sourceSummary.manga[mangaId] = mangaSummary;
+		}
+		summary[sourceId] = sourceSummary;
+	}
+	return summary;
+}
+
+/**
+ * Get the ids of the chapters of a manga that are stored as failed.
+ * @param {Object} cache - The cache object.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {string} mangaId - The mangaId.
+ * @returns {string[]} - The failed chapter ids.
+ */
+function getFailedChapters(cache, sourceId, mangaId) {
+	const chapters = cache.sources[sourceId]?.[mangaId] ?? {};
+	return Object.keys(chapters).filter(
+		(chapterId) => chapters[chapterId].status === "failed"
+	);
+}
+
+/**
+ * Get the ids of the chapters of a manga that are stored as cached.
+ * @param {Object} cache - The cache object.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {string} mangaId - The mangaId.
+ * @param {number} [maxAge] - Only the chapters older than this many milliseconds, see isChapterStale.
+ * @returns {string[]} - The cached chapter ids.
+ */
+function getCachedChapters(cache, sourceId, mangaId, maxAge) {
+	const chapters = cache.sources[sourceId]?.[mangaId] ?? {};
+	const now = Date.now();
+	return Object.keys(chapters).filter(
+		(chapterId) =>
+			chapters[chapterId].status === "cached" &&
+			(maxAge === undefined ||
+				isChapterStale(chapters[chapterId], maxAge, now))
+	);
+}
+
+/**
+ * Remove a manga and its chapters from the cache.
+ * @param {Object} cache - The cache object.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {string} mangaId - The mangaId.
+ */
+function removeManga(cache, sourceId, mangaId) {
+	const mangas = cache.sources[sourceId];
+	if (!mangas) return;
+	delete mangas[mangaId];
+	if (Object.keys(mangas).length === 0) delete cache.sources[sourceId];
+	trackChange(cache, { op: "removeManga", sourceId, mangaId });
+}
+
+/**
+ * Move the manga and chapters of a source to other keys, ie when the source changed domains
+ * and its ids are URLs. Records that end up under the same key are merged like mergeCache does.
+ * @param {Object} cache - The cache object.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {Function} mangaKey - Returns the new key of a mangaId.
+ * @param {Function} chapterKey - Returns the new key of a chapterId.
+ * @returns {number} - The number of manga whose keys changed.
+ */
+function rekeySource(cache, sourceId, mangaKey, chapterKey) {
+	let moved = 0;
+	for (const mangaId of Object.keys(cache.sources[sourceId] ?? {})) {
+		const newMangaId = mangaKey(mangaId);
+		// Read now, a manga moved before may have been merged into this one
+		const records = Object.entries(cache.sources[sourceId][mangaId]);
+		if (
+			newMangaId === mangaId &&
+			records.every(([chapterId]) => chapterKey(chapterId) === chapterId)
+		) {
+			continue;
+		}
+
+		// The journal can't remove single chapters, so the whole manga is written again
+		removeManga(cache, sourceId, mangaId);
+		const target = getMangaChapters(cache, sourceId, newMangaId);
+		for (const [chapterId, record] of records) {
+			const newChapterId = chapterKey(chapterId);
+			if (!isLaterRecord(record, target[newChapterId])) continue;
+			target[newChapterId] = record;
+			trackChange(cache, {
+				op: "chapter",
+				sourceId,
+				mangaId: newMangaId,
+				chapterId: newChapterId,
+				record,
+			});
+		}
+		moved++;
+	}
+	return moved;
+}
+
+module.exports = {
+	cacheVersion,
+	createCache,
+	migrateCache,
+	readCache,
+	loadCache,
+	saveCache,
+	exportCache,
+	mergeCache,
+	getMangaChapters,
+	getChapter,
+	isChapterCached,
+	isChapterStale,
+	recordChapter,
+	summarizeCache,
+	getFailedChapters,
+	getCachedChapters,
+	removeManga,
+	rekeySource,
+};
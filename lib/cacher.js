@@ -0,0 +1,532 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const {
+	resolveArchiveFile,
+	loadArchive,
+	loadSourceManga,
+} = require("./archive");
+const { buildReadingProgress } = require("./progress");
+const { buildPlan } = require("./plan");
+const {
+	readCache,
+	loadCache,
+	saveCache,
+	exportCache,
+	mergeCache,
+	summarizeCache,
+	removeManga,
+	rekeySource,
+} = require("./cache");
+const {
+	processEntries,
+	failedEntriesFromCache,
+	cachedEntriesFromCache,
+} = require("./processor");
+const { setProxySite } = require("./limiter");
+const { checkProxy } = require("./proxy");
+const { CircuitBreaker } = require("./breaker");
+const { BrowserPool } = require("./browser");
+const { ScrapeMemo } = require("./scrapes");
+const { acquireLock } = require("./lock");
+const sources = require("./sources"); // Source adapter registry
+const logger = require("./logger");
+const { sanitizeSourceId } = require("./utils");
+
+// Cache file used when none is given
+const defaultCacheFile = "cache.json";
+
+/**
+ * Move manga and chapters cached under a former domain of their source to the keys of its
+ * canonical domain, the ones processEntry uses, merging them with the records already there.
+ * @param {Object} cache - The cache object.
+ * @param {string} cacheFilePath - The path to the cache file, for the log.
+ * @returns {Object} - The cache object.
+ */
+function canonicalizeCache(cache, cacheFilePath) {
+	for (const sourceId of Object.keys(cache.sources)) {
+		const adapter = sources.getSource(sourceId);
+		if (!adapter?.canonicalMangaId) continue;
+
+		const moved = rekeySource(
+			cache,
+			sourceId,
+			(mangaId) => adapter.canonicalMangaId(mangaId),
+			(chapterId) => adapter.canonicalChapterId?.(chapterId) ?? chapterId
+		);
+		if (moved > 0) {
+			logger.info(
+				`Moved ${moved} manga of ${sourceId} in the cache to the keys of its current domain.`,
+				{ sourceId, cacheFile: cacheFilePath }
+			);
+		}
+	}
+	return cache;
+}
+
+/**
+ * The outcome of processing entries.
+ * @typedef {Object} Run
+ * @property {Object[]} results - The result of each manga, see processEntries.
+ * @property {string|null} profile - The name of the profile of the cacher, if any.
+ * @property {Date} startedAt - When the run started.
+ * @property {Date} finishedAt - When the run finished.
+ * @property {boolean} interrupted - Whether the run was stopped before the end.
+ * @property {string|null} archive - The path to the archive the entries came from.
+ * @property {boolean} dryRun - Whether nothing was sent to the proxy.
+ * @property {Object|null} plan - The plan of a dry run, see buildPlan.
+ * @property {string|null} proxyError - Why the run was stopped because of the proxy, if it was.
+ */
+
+/**
+ * Sends the chapters of the manga in a Paperback archive to the proxy server and keeps
+ * track of them in the cache file. Never exits the process: errors are thrown and progress
+ * is reported through events.
+ *
+ * Events:
+ * - runStarted ({ profile, archive, dryRun, entries }) - Processing is about to start, entries being
+ *   the number of mangaFinished events to expect.
+ * - mangaStarted ({ sourceId, mangaId, position }) - The chapters of a manga are being fetched.
+ * - mangaFinished (result) - An entry is done, with its result as in Run.results. Entries that
+ *   aren't processed (ie from an ignored source) finish without starting.
+ * - chapterCached ({ sourceId, mangaId, chapterId, pageCount, durationMs }) - The proxy cached a chapter.
+ * - chapterFailed ({ sourceId, mangaId, chapterId, failedImages, error, durationMs }) - A chapter
+ *   failed, with the images the proxy couldn't cache or the RequestError. When error.proxy is
+ *   set the proxy failed rather than the chapter, which is then left out of the cache.
+ * - proxyDown ({ error, stopping }) - Consecutive proxy failures opened the circuit breaker:
+ *   chapters wait for the proxy to answer again, or the run stops when stopping is set.
+ * - proxyUp () - The proxy answers again and the waiting chapters are sent.
+ * - runFinished (run) - Processing is done, see Run.
+ */
+class Cacher extends EventEmitter {
+	/**
+	 * @param {Object} [options] - The default options of every operation.
+	 * @param {string} [options.profile] - The name of the profile the options come from, see ./profiles.js.
+	 * @param {string} [options.archive] - The Paperback archive (default: the first paperbackarchive file in the cwd).
+	 * @param {string} [options.cacheFile] - The cache file, a .jsonl file is kept as a journal (default: ./cache.json).
+	 * @param {string} [options.site] - The URL of the proxy site, required to send chapters.
+	 * @param {string} [options.token] - The token from SITE/api/login, required to send chapters.
+	 * @param {string[]} [options.sources] - Only process entries from these sourceIds.
+	 * @param {number} [options.concurrency] - How many manga are processed at the same time.
+	 * @param {number} [options.chapterConcurrency] - How many chapters of a manga are processed at the same time.
+	 * @param {boolean} [options.skipRead] - Leave out chapters that were already read.
+	 * @param {number} [options.nextUnread] - Only process the next N unread chapters of each manga.
+	 * @param {Object} [options.selection] - Rules selecting the manga and chapters to process:
+	 *   latest, ranges, include, exclude and per manga rules, see ./selection.js.
+	 * @param {number} [options.maxAge] - Milliseconds after which cached chapters are sent again.
+	 * @param {boolean} [options.preflight] - Check the proxy is up and accepts the token before
+	 *   a run (default: true).
+	 * @param {number} [options.proxyFailures] - Consecutive proxy failures that open the circuit
+	 *   breaker (default: 5).
+	 * @param {string} [options.onProxyDown] - "pause" to wait for the proxy once the breaker is
+	 *   open, or "abort" to stop the run (default: "pause").
+	 * @param {Object} [options.browser] - The BrowserPool options for the sources that need a browser.
+	 */
+	constructor(options = {}) {
+		super();
+		this.options = {
+			...options,
+			sources: options.sources?.map(sanitizeSourceId) ?? null,
+		};
+		this.cacheFilePath = path.resolve(
+			options.cacheFile ?? defaultCacheFile
+		);
+		this.activeCache = null;
+		this.activeRun = null;
+	}
+
+	/**
+	 * Resolve the archive to read.
+	 * @param {string} [archive] - The archive, instead of the one given to the constructor.
+	 * @returns {string} - The path to the archive.
+	 */
+	resolveArchive(archive) {
+		return resolveArchiveFile(
+			archive ?? this.options.archive,
+			process.cwd()
+		);
+	}
+
+	/**
+	 * Read the entries of the archive along with the reading progress of each entry.
+	 * @param {string} [archive] - The archive, instead of the one given to the constructor.
+	 * @returns {Promise<Object>} - The archive path, its entries and their readingProgress.
+	 */
+	async loadLibrary(archive) {
+		const archiveFilePath = this.resolveArchive(archive);
+		const content = await loadArchive(archiveFilePath);
+		return {
+			archive: archiveFilePath,
+			entries: content.sourceManga,
+			readingProgress: buildReadingProgress(
+				content.chapters,
+				content.chapterProgressMarkers
+			),
+		};
+	}
+
+	/**
+	 * Load the cache and keep it open for the following operations, which otherwise open
+	 * and close it themselves. The cache lock is held until closeCache, so that overlapping
+	 * runs can't overwrite each other's progress.
+	 * @param {Object} [options] - The options.
+	 * @param {boolean} [options.lock] - Take the cache lock (default true). Not needed to only read.
+	 * @returns {Object} - The cache object.
+	 */
+	openCache(options = {}) {
+		if (this.activeCache) return this.activeCache.cache;
+
+		const releaseLock =
+			options.lock === false ? null : acquireLock(this.cacheFilePath);
+		let cache;
+		try {
+			cache = canonicalizeCache(
+				loadCache(this.cacheFilePath),
+				this.cacheFilePath
+			);
+		} catch (error) {
+			releaseLock?.();
+			throw error;
+		}
+		this.activeCache = { cache, releaseLock };
+		return cache;
+	}
+
+	/**
+	 * Save the open cache, if any, ie when the process exits in the middle of a run.
+	 */
+	flush() {
+		if (!this.activeCache?.releaseLock) return;
+		saveCache(this.cacheFilePath, this.activeCache.cache);
+	}
+
+	/**
+	 * Release the cache opened by openCache.
+	 */
+	closeCache() {
+		if (!this.activeCache) return;
+		this.activeCache.releaseLock?.();
+		this.activeCache = null;
+	}
+
+	/**
+	 * Run an operation on the open cache, or open the cache for the duration of the operation.
+	 * @param {boolean} readOnly - Whether the operation leaves the cache file alone.
+	 * @param {Function} fn - The operation, called with the cache object.
+	 * @returns {Promise<*>} - The result of the operation.
+	 */
+	async withCache(readOnly, fn) {
+		if (this.activeCache) return fn(this.activeCache.cache);
+
+		const cache = this.openCache({ lock: !readOnly });
+		try {
+			return await fn(cache);
+		} finally {
+			this.closeCache();
+		}
+	}
+
+	/**
+	 * Process entries: send their chapters to the proxy and store the results in the cache.
+	 * @param {Object} entries - The entries, keyed like the sourcemanga JSON.
+	 * @param {Object} [options] - Options of this run, over the ones given to the constructor.
+	 *   Besides those, see processEntries: dryRun, scrape, onlyFailed, onlyNew, verify,
+	 *   readingProgress, and signal to stop the run like stop does.
+	 * @param {Object} [options.shared] - The browser and the ScrapeMemo shared with the runs of
+	 *   other cachers, see runTogether.
+	 * @param {string} [options.archive] - The path to the archive the entries came from, for the run details.
+	 * @returns {Promise<Run>} - The run.
+	 */
+	async process(entries, options = {}) {
+		const settings = { ...this.options, ...options };
+		const dryRun = settings.dryRun ?? false;
+		const profile = this.options.profile ?? null;
+		const server = { site: settings.site, token: settings.token };
+		if (!dryRun) {
+			if (!server.site || !server.token) {
+				throw new Error(
+					`The site and token of the proxy are required to send chapters${
+						profile ? ` (profile "${profile}")` : ""
+					}`
+				);
+			}
+			// Proxies warmed together each get their own limiter
+			setProxySite(
+				server.site,
+				settings.shared ? `proxy:${profile}` : "proxy"
+			);
+
+			// Before the browser or any scraping, so a bad site or token fails right away
+			if (settings.preflight ?? true) await checkProxy(server);
+		}
+
+		return this.withCache(dryRun, async (cache) => {
+			const controller = new AbortController();
+			const stopRun = () => controller.abort();
+			if (settings.signal?.aborted) stopRun();
+			settings.signal?.addEventListener("abort", stopRun);
+			this.activeRun = controller;
+
+			let proxyError = null;
+			const breaker = new CircuitBreaker({
+				probe: () => checkProxy(server),
+				threshold: settings.proxyFailures,
+				mode: settings.onProxyDown,
+				onOpen: (error) => {
+					if (breaker.stopping) {
+						proxyError = error.message;
+						controller.abort();
+					}
+					this.emit("proxyDown", {
+						error,
+						stopping: breaker.stopping,
+					});
+				},
+				onClose: () => this.emit("proxyUp"),
+			});
+
+			const browser =
+				settings.shared?.browser ?? new BrowserPool(settings.browser);
+			const archive = settings.archive ?? null;
+			const startedAt = new Date();
+			this.emit("runStarted", {
+				profile,
+				archive,
+				dryRun,
+				entries: Object.values(entries).filter(
+					(entry) => entry?.sourceId
+				).length,
+			});
+			try {
+				const results = await processEntries(entries, {
+					...settings,
+					dryRun,
+					server,
+					breaker,
+					browser,
+					scrapes: settings.shared?.scrapes,
+					cache,
+					cacheFilePath: this.cacheFilePath,
+					signal: controller.signal,
+					onEvent: (name, details) => this.emit(name, details),
+				});
+
+				const scraped =
+					(settings.scrape ?? true) &&
+					!settings.onlyFailed &&
+					!settings.verify;
+				const run = {
+					results,
+					profile,
+					startedAt,
+					finishedAt: new Date(),
+					interrupted: controller.signal.aborted,
+					archive,
+					dryRun,
+					plan: dryRun
+						? buildPlan(results, { archive, scraped })
+						: null,
+					proxyError,
+				};
+				this.emit("runFinished", run);
+				return run;
+			} finally {
+				this.activeRun = null;
+				settings.signal?.removeEventListener("abort", stopRun);
+				breaker.dispose();
+
+				// Close the browser, if a source needed it and it isn't shared
+				if (!settings.shared) await browser.close();
+
+				if (!dryRun) saveCache(this.cacheFilePath, cache);
+			}
+		});
+	}
+
+	/**
+	 * Cache every chapter of the manga in the archive.
+	 * @param {Object} [options] - Options of this run, see process.
+	 * @returns {Promise<Run>} - The run.
+	 */
+	async run(options = {}) {
+		const { archive, entries, readingProgress } = await this.loadLibrary(
+			options.archive
+		);
+		return this.process(entries, { ...options, archive, readingProgress });
+	}
+
+	/**
+	 * Work out what run would send to the proxy, without sending it or writing the cache.
+	 * @param {Object} [options] - Options of this run, see process.
+	 * @returns {Promise<Object>} - The plan, see buildPlan.
+	 */
+	async plan(options = {}) {
+		const run = await this.run({ ...options, dryRun: true });
+		return run.plan;
+	}
+
+	/**
+	 * Only redo the chapters stored as failed in the cache.
+	 * @param {Object} [options] - Options of this run, see process.
+	 * @returns {Promise<Run|null>} - The run, or null if no chapter failed.
+	 */
+	async retryFailed(options = {}) {
+		const entries = failedEntriesFromCache(this.readCache());
+		if (Object.keys(entries).length === 0) return null;
+		return this.process(entries, { ...options, onlyFailed: true });
+	}
+
+	/**
+	 * Send the chapters stored as cached to the proxy again, all of them or only those older
+	 * than maxAge, so chapters the proxy evicted or lost are cached again.
+	 * @param {Object} [options] - Options of this run, see process.
+	 * @returns {Promise<Run|null>} - The run, or null if no chapter needed verifying.
+	 */
+	async verify(options = {}) {
+		const maxAge = options.maxAge ?? this.options.maxAge;
+		const entries = cachedEntriesFromCache(this.readCache(), maxAge);
+		if (Object.keys(entries).length === 0) return null;
+		return this.process(entries, { ...options, verify: true });
+	}
+
+	/**
+	 * Stop the run in progress after the chapters in flight.
+	 * @returns {boolean} - Whether a run is stopping.
+	 */
+	stop() {
+		if (!this.activeRun || this.activeRun.signal.aborted) return false;
+		this.activeRun.abort();
+		return true;
+	}
+
+	/**
+	 * Get the cache, the open one or as stored in the cache file.
+	 * @returns {Object} - The cache object.
+	 */
+	readCache() {
+		return (
+			this.activeCache?.cache ??
+			canonicalizeCache(loadCache(this.cacheFilePath), this.cacheFilePath)
+		);
+	}
+
+	/**
+	 * Count the cached and failed chapters of the cache.
+	 * @returns {Object} - The summary, see summarizeCache.
+	 */
+	status() {
+		return summarizeCache(this.readCache());
+	}
+
+	/**
+	 * Remove manga that are no longer in the archive from the cache.
+	 * @param {Object} [options] - The options.
+	 * @param {string} [options.archive] - The archive, instead of the one given to the constructor.
+	 * @param {boolean} [options.dryRun] - Only list the manga that would be removed.
+	 * @returns {Promise<Object[]>} - The sourceId, mangaId and chapter count of each removed manga.
+	 */
+	async prune(options = {}) {
+		const entries = await loadSourceManga(
+			this.resolveArchive(options.archive)
+		);
+		const libraryKeys = new Set();
+		for (const entry of Object.values(entries)) {
+			if (!entry || !entry.sourceId) continue;
+			const sourceId = sanitizeSourceId(entry.sourceId);
+			// The cache has the manga under its canonical id, see processEntry
+			const mangaId = sources.canonicalMangaId(sourceId, entry.mangaId);
+			libraryKeys.add(`${sourceId}\n${mangaId}`);
+		}
+
+		return this.withCache(options.dryRun, (cache) => {
+			const removed = [];
+			for (const [sourceId, mangas] of Object.entries(cache.sources)) {
+				for (const mangaId of Object.keys(mangas)) {
+					if (libraryKeys.has(`${sourceId}\n${mangaId}`)) continue;
+
+					const chapters = Object.keys(mangas[mangaId]).length;
+					removed.push({ sourceId, mangaId, chapters });
+					if (!options.dryRun) removeManga(cache, sourceId, mangaId);
+				}
+			}
+			if (!options.dryRun && removed.length > 0) {
+				saveCache(this.cacheFilePath, cache);
+			}
+			return removed;
+		});
+	}
+
+	/**
+	 * Write the cache to another file, in the format of that file.
+	 * @param {string} filePath - The file to export to.
+	 */
+	exportCache(filePath) {
+		const exportFilePath = path.resolve(filePath);
+		if (exportFilePath === this.cacheFilePath) {
+			throw new Error("Can't export the cache to itself");
+		}
+		exportCache(this.readCache(), exportFilePath);
+	}
+
+	/**
+	 * Merge the chapters of another cache file into the cache.
+	 * @param {string} filePath - The file to import from.
+	 * @param {Object} [options] - The options.
+	 * @param {boolean} [options.dryRun] - Only count the chapters that would be imported.
+	 * @returns {Promise<number>} - The number of chapters added or updated.
+	 */
+	async importCache(filePath, options = {}) {
+		const importFilePath = path.resolve(filePath);
+		if (importFilePath === this.cacheFilePath) {
+			throw new Error("Can't import the cache into itself");
+		}
+		if (!fs.existsSync(importFilePath)) {
+			throw new Error(`The file ${importFilePath} doesn't exist`);
+		}
+
+		const imported = canonicalizeCache(
+			readCache(importFilePath),
+			importFilePath
+		);
+		return this.withCache(options.dryRun, (cache) => {
+			const merged = mergeCache(cache, imported);
+			if (!options.dryRun) saveCache(this.cacheFilePath, cache);
+			return merged;
+		});
+	}
+}
+
+/**
+ * Run an operation of several cachers at the same time, ie to warm the proxies of several
+ * profiles in one run. They share the browser and what is scraped from the sources, so each
+ * chapter list and page list is fetched once and sent to every proxy. A cacher that fails
+ * doesn't stop the others.
+ * @param {Cacher[]} cachers - The cachers, each with its own proxy and cache.
+ * @param {Function} operation - Called with a cacher and the shared resources, to pass to
+ *   its run as the shared option. Returns the run, or null when there was nothing to do.
+ * @returns {Promise<Object[]>} - The outcome of each cacher, in order, as { run, error }.
+ */
+async function runTogether(cachers, operation) {
+	const shared = {
+		// The browser options of the first cacher apply to all of them
+		browser: new BrowserPool(cachers[0]?.options.browser),
+		scrapes: new ScrapeMemo(),
+	};
+	try {
+		const outcomes = await Promise.allSettled(
+			cachers.map((cacher) => operation(cacher, shared))
+		);
+		return outcomes.map((outcome) =>
+			outcome.status === "fulfilled"
+				? { run: outcome.value, error: null }
+				: { run: null, error: outcome.reason }
+		);
+	} finally {
+		await shared.browser.close();
+	}
+}
+
+module.exports = {
+	Cacher,
+	runTogether,
+};
@@ -0,0 +1,1058 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const sources = require("./sources");
+const {
+	resolveArchiveFile,
+	findNewestPaperbackArchiveFile,
+} = require("./archive");
+const { formatPlan } = require("./plan");
+const { buildReport, writeReport } = require("./report");
+const { Cacher, runTogether } = require("./cacher");
+const { loadProfiles, resolveProfile } = require("./profiles");
+const { loadConfig, configFlags, applyConfig } = require("./config");
+const { parseRanges } = require("./selection");
+const { StatusServer } = require("./status-server");
+const { configureHost } = require("./limiter");
+const { configureMirrors } = require("./mirrors");
+const logger = require("./logger");
+const { sanitizeFilename, sanitizeSourceId } = require("./utils");
+
+// Minutes between scans in watch mode
+const defaultWatchInterval = 60;
+
+// Milliseconds an archive must stay unchanged before watch mode reloads it
+const archiveSettleDelay = 5000;
+
+// Directory the end of run reports are written to
+const defaultReportDir = "reports";
+
+// What a run does when the proxy keeps failing
+const proxyDownModes = ["pause", "abort"];
+
+// File the browser cookies (ie the Cloudflare clearance) are kept in between runs
+const defaultCookieFile = "browser-cookies.json";
+
+// The Cachers of the current command, whose caches are flushed if the process exits early
+let activeCachers = [];
+
+// The AbortController of the processing run in progress, if any
+let activeRun = null;
+
+const usage = `Usage: node ./index.js [command] [options]
+
+Commands:
+  run              Cache every chapter of the manga in the archive (default)
+  plan             Show what "run" would do: manga, sources and chapters to submit
+  status           Print cached and failed chapter counts from the cache
+  retry-failed     Only redo the chapters stored as failed in the cache
+  verify           Send the chapters stored as cached again, in case the proxy lost them
+  prune            Remove manga that are no longer in the archive from the cache
+  list-sources     Show which sourceIds in the archive are supported
+  watch            Keep running, caching new chapters periodically and when the archive changes
+  export <file>    Write the cache to another file, as a journal if it ends in .jsonl
+  import <file>    Merge the chapters of another cache file into the cache
+
+Options:
+  --config <path>        Configuration file (default: ./config.json, if it exists)
+  -a, --archive <path>   Paperback archive to read (default: first paperbackarchive file in the cwd)
+  -c, --cache <path>     Cache file to use, a .jsonl file is kept as a journal (default: ./cache.json)
+  -p, --profile <name>   Use a profile of the profiles file: its proxy, token, sources and cache.
+                         Repeat (or separate with commas) to warm several proxies in one run
+  --profiles <path>      Profiles file (default: ./profiles.json)
+  -s, --sources <ids>    Comma separated sourceIds to include (run, retry-failed)
+  -n, --dry-run          Show what would be done without calling the proxy or writing the cache
+  --no-scrape            Plan from the cache only, without fetching chapter lists (dry runs)
+  --json <path>          Also write the plan of a dry run as JSON
+  --report-dir <path>    Directory for the JSON, CSV and HTML run reports (default: ./reports)
+  --no-report            Don't write a report at the end of a run
+  --concurrency <n>      Manga processed at the same time (default: 3)
+  --chapter-concurrency <n>
+                         Chapters of each manga processed at the same time (default: 2)
+  --rate <host=rate[:concurrency]>
+                         Requests per second (and in flight) for a host, "proxy" for SITE. Repeatable
+  --mirror <source=url[,url...]>
+                         Domains of a source to try in order, ie manganato=https://www.natomanga.com. Repeatable
+  --skip-read            Leave out chapters already read according to the archive
+  --next-unread <n>      Only cache the next n unread chapters of each manga
+  --latest <n>           Only cache the n latest chapters of each manga
+  --chapters <ranges>    Only cache chapters numbered in these ranges, ie 1-50,100- (repeatable)
+  --ttl <days>           Days after which cached chapters are sent to the proxy again (verify: only those)
+  --no-preflight         Don't check that the proxy is up and accepts the token before a run
+  --proxy-failures <n>   Consecutive proxy failures after which the run pauses or stops (default: 5)
+  --on-proxy-down <mode> pause (wait for the proxy to answer again) or abort (default: pause)
+  --interval <minutes>   Minutes between scans in watch mode (default: 60)
+  --watch-dir <path>     Directory watched for new archives in watch mode (default: the cwd)
+  --user-agent <ua>      User agent of the browser pages (default: the browser's own)
+  --browser-pages <n>    Browser pages open at the same time (default: 2)
+  --cookie-file <path>   File the browser cookies are kept in between runs (default: ./browser-cookies.json)
+  --status-port <port>   Serve /metrics (Prometheus) and /status (progress as JSON) on this port during runs
+  --status-host <host>   Interface of the status server (default: 127.0.0.1)
+  --log-level <level>    debug, info, warn or error (default: info)
+  --log-format <format>  text or json (one JSON object per line) for the log files (default: text)
+  --log-dir <path>       Directory of debug.log and error.log (default: the cwd)
+  --log-max-size <mb>    Rotate a log file when it reaches this size in MB, 0 to disable (default: 10)
+  --log-max-files <n>    Rotated files kept per log file (default: 5)
+  --log-daily            Also rotate the log files every day
+  -q, --quiet            Only print warnings, errors and the output of the command, ie for cron
+  -h, --help             Show this help`;
+
+// Flags without a default, so that the settings of the configuration file apply when they are absent
+const optionsConfig = {
+	config: { type: "string" },
+	archive: { type: "string", short: "a" },
+	cache: { type: "string", short: "c" },
+	profile: { type: "string", short: "p", multiple: true },
+	profiles: { type: "string" },
+	sources: { type: "string", short: "s", multiple: true },
+	"dry-run": { type: "boolean", short: "n", default: false },
+	"no-scrape": { type: "boolean", default: false },
+	json: { type: "string" },
+	"report-dir": { type: "string" },
+	"no-report": { type: "boolean", default: false },
+	"log-level": { type: "string" },
+	"log-format": { type: "string" },
+	"log-dir": { type: "string" },
+	"log-max-size": { type: "string" },
+	"log-max-files": { type: "string" },
+	"log-daily": { type: "boolean" },
+	quiet: { type: "boolean", short: "q" },
+	concurrency: { type: "string" },
+	"chapter-concurrency": { type: "string" },
+	rate: { type: "string", multiple: true },
+	mirror: { type: "string", multiple: true },
+	"skip-read": { type: "boolean" },
+	"next-unread": { type: "string" },
+	latest: { type: "string" },
+	chapters: { type: "string", multiple: true },
+	ttl: { type: "string" },
+	"no-preflight": { type: "boolean" },
+	"proxy-failures": { type: "string" },
+	"on-proxy-down": { type: "string" },
+	interval: { type: "string" },
+	"watch-dir": { type: "string" },
+	"user-agent": { type: "string" },
+	"browser-pages": { type: "string" },
+	"cookie-file": { type: "string" },
+	"status-port": { type: "string" },
+	"status-host": { type: "string" },
+	help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Parse the --sources values into a list of sanitized, supported sourceIds.
+ * @param {string[]} [values] - The raw --sources values, each possibly comma separated.
+ * @returns {string[]|null} - The sourceIds, or null when no filter was given.
+ */
+function parseSources(values) {
+	if (!values) return null;
+
+	const sourceIds = values
+		.flatMap((value) => value.split(","))
+		.map((value) => sanitizeSourceId(value))
+		.filter(Boolean);
+	const unknown = sourceIds.filter(
+		(sourceId) => !sources.getSource(sourceId)
+	);
+	if (unknown.length > 0) {
+		const supported = sources.listSources().map((adapter) => adapter.id);
+		throw new Error(
+			`Unsupported source(s): ${unknown.join(
+				", "
+			)}. Supported sources are: ${supported.join(", ")}`
+		);
+	}
+	return sourceIds;
+}
+
+/**
+ * Parse a positive number flag.
+ * @param {string} [value] - The raw flag value.
+ * @param {string} name - The flag name, for error messages.
+ * @returns {number|undefined} - The number, or undefined when the flag was not given.
+ */
+function parsePositiveNumber(value, name) {
+	if (value === undefined) return undefined;
+	const number = Number(value);
+	if (!Number.isFinite(number) || number <= 0) {
+		throw new Error(`--${name} must be a positive number, got "${value}"`);
+	}
+	return number;
+}
+
+/**
+ * Build the selection rules from the --latest and --chapters flags, over the selection of
+ * the configuration.
+ * @param {Object} flags - The parsed command line flags, with the selection of the configuration.
+ * @returns {Object} - The selection settings, see createSelection.
+ */
+function parseSelection(flags) {
+	const selection = { ...flags.selection };
+	const latest = parseCount(flags.latest, "latest");
+	if (latest !== undefined) selection.latest = latest;
+	if (flags.chapters) {
+		selection.ranges = flags.chapters
+			.flatMap((value) => value.split(","))
+			.map((value) => value.trim())
+			.filter(Boolean);
+		parseRanges(selection.ranges); // Throws on an invalid range before the run starts
+	}
+	return selection;
+}
+
+/**
+ * Parse the --ttl flag.
+ * @param {string} [value] - The raw flag value, in days.
+ * @returns {number|undefined} - The age in milliseconds after which chapters expire, or undefined for no expiry.
+ */
+function parseMaxAge(value) {
+	const days = parsePositiveNumber(value, "ttl");
+	return days === undefined ? undefined : days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Parse the --on-proxy-down flag.
+ * @param {string} [value] - The raw flag value.
+ * @returns {string|undefined} - The mode, or undefined when the flag was not given.
+ */
+function parseProxyDownMode(value) {
+	if (value === undefined) return undefined;
+	if (!proxyDownModes.includes(value)) {
+		throw new Error(
+			`--on-proxy-down must be one of ${proxyDownModes.join(
+				", "
+			)}, got "${value}"`
+		);
+	}
+	return value;
+}
+
+/**
+ * Configure the logger from the command line flags.
+ * @param {Object} flags - The parsed command line flags.
+ */
+function configureLogger(flags) {
+	const options = { quiet: flags.quiet, daily: flags["log-daily"] };
+	if (flags["log-level"]) options.level = flags["log-level"];
+	if (flags["log-format"]) options.format = flags["log-format"];
+	if (flags["log-dir"]) options.dir = path.resolve(flags["log-dir"]);
+	if (flags["log-max-size"] !== undefined) {
+		const maxSize = Number(flags["log-max-size"]);
+		if (!Number.isFinite(maxSize) || maxSize < 0) {
+			throw new Error(
+				`--log-max-size must be a number of MB, got "${flags["log-max-size"]}"`
+			);
+		}
+		options.maxSize = Math.round(maxSize * 1024 * 1024);
+	}
+	if (flags["log-max-files"] !== undefined) {
+		const maxFiles = Number(flags["log-max-files"]);
+		if (!Number.isInteger(maxFiles) || maxFiles < 0) {
+			throw new Error(
+				`--log-max-files must be a whole number, got "${flags["log-max-files"]}"`
+			);
+		}
+		options.maxFiles = maxFiles;
+	}
+	logger.configure(options);
+}
+
+/**
+ * Parse a positive whole number flag, rounding fractions up.
+ * @param {string} [value] - The raw flag value.
+ * @param {string} name - The flag name, for error messages.
+ * @returns {number|undefined} - The number, or undefined when the flag was not given.
+ */
+function parseCount(value, name) {
+	const number = parsePositiveNumber(value, name);
+	return number === undefined ? undefined : Math.ceil(number);
+}
+
+/**
+ * Apply the --rate values to the per host limiters.
+ * @param {string[]} [values] - The raw --rate values, formatted as host=rate[:concurrency].
+ */
+function applyRates(values) {
+	for (const value of values ?? []) {
+		const match = value.match(/^([^=]+)=([^:]+)(?::(.+))?$/);
+		if (!match) {
+			throw new Error(
+				`--rate must look like host=rate[:concurrency], got "${value}"`
+			);
+		}
+		const limits = { rate: parsePositiveNumber(match[2], "rate") };
+		if (match[3] !== undefined) {
+			limits.concurrency = parseCount(match[3], "rate");
+		}
+		configureHost(match[1].trim(), limits);
+	}
+}
+
+/**
+ * Apply the --mirror values to the mirror lists of the sources.
+ * @param {string[]} [values] - The raw --mirror values, formatted as source=url[,url...].
+ */
+function applyMirrors(values) {
+	for (const value of values ?? []) {
+		const match = value.match(/^([^=]+)=(.+)$/);
+		if (!match) {
+			throw new Error(
+				`--mirror must look like source=url[,url...], got "${value}"`
+			);
+		}
+		const urls = match[2]
+			.split(",")
+			.map((url) => url.trim())
+			.filter(Boolean);
+		for (const url of urls) {
+			if (!URL.canParse(url)) {
+				throw new Error(`--mirror has an invalid URL: "${url}"`);
+			}
+		}
+		configureMirrors(sanitizeSourceId(match[1]), urls);
+	}
+}
+
+/**
+ * Work out the proxy and the cache of each cacher of a command: those of the --profile
+ * flags, or the site, token and cache file of the configuration without profiles.
+ * @param {Object} flags - The parsed command line flags, without the configuration.
+ * @param {Object} config - The configuration, see loadConfig.
+ * @returns {Object[]} - The targets, as { profile, site, token, cacheFilePath }, profile
+ *   being null without --profile.
+ */
+function resolveTargets(flags, config) {
+	if (!flags.profile) {
+		return [
+			{
+				profile: null,
+				site: config.site,
+				token: config.token,
+				cacheFilePath: path.resolve(
+					flags.cache ?? config.cacheFile ?? "cache.json"
+				),
+			},
+		];
+	}
+
+	const names = [
+		...new Set(
+			flags.profile
+				.flatMap((value) => value.split(","))
+				.map((name) => name.trim())
+				.filter(Boolean)
+		),
+	];
+	if (names.length > 1 && flags.cache) {
+		throw new Error(
+			"--cache can't be used with several profiles, set the cacheFile of each profile instead"
+		);
+	}
+	// A profiles file given on the command line wins over the profiles of the configuration
+	const profiles =
+		!flags.profiles && config.profiles
+			? config.profiles
+			: loadProfiles(flags.profiles);
+	return names.map((name) => {
+		const profile = resolveProfile(profiles, name);
+		return {
+			profile,
+			site: profile.site,
+			token: profile.token,
+			cacheFilePath: flags.cache
+				? path.resolve(flags.cache)
+				: profile.cacheFile,
+		};
+	});
+}
+
+/**
+ * Get the only target of a command that works on a single cache.
+ * @param {Object[]} targets - The targets, see resolveTargets.
+ * @param {string} commandName - The command, for the error message.
+ * @returns {Object} - The target.
+ * @throws {Error} - If several profiles were given.
+ */
+function singleTarget(targets, commandName) {
+	if (targets.length > 1) {
+		throw new Error(
+			`The ${commandName} command works on a single profile, got ${targets.length}`
+		);
+	}
+	return targets[0];
+}
+
+/**
+ * Keep the sourceIds allowed by both the profile and --sources.
+ * @param {string[]|null} profileSources - The sources of the profile, null for any.
+ * @param {string[]|null} flagSources - The sources of --sources, null for any.
+ * @returns {string[]|null} - The sources to process, null for any.
+ */
+function combineSources(profileSources, flagSources) {
+	if (!profileSources) return flagSources;
+	if (!flagSources) return profileSources;
+	return profileSources.filter((sourceId) => flagSources.includes(sourceId));
+}
+
+/**
+ * Build the Cacher options from the command line flags and the proxy of the cacher.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Object} target - The proxy and cache of the cacher, see resolveTargets.
+ * @returns {Object} - The Cacher options.
+ */
+function cacherOptions(flags, { profile, site, token, cacheFilePath }) {
+	const options = {
+		profile: profile?.name,
+		archive: flags.archive,
+		cacheFile: cacheFilePath,
+		site,
+		token,
+		sources: combineSources(
+			profile?.sources ?? null,
+			parseSources(flags.sources)
+		),
+		concurrency: parseCount(flags.concurrency, "concurrency"),
+		chapterConcurrency: parseCount(
+			flags["chapter-concurrency"],
+			"chapter-concurrency"
+		),
+		skipRead: flags["skip-read"],
+		nextUnread: parseCount(flags["next-unread"], "next-unread"),
+		selection: parseSelection(flags),
+		maxAge: parseMaxAge(flags.ttl),
+		preflight: !flags["no-preflight"],
+		proxyFailures: parseCount(flags["proxy-failures"], "proxy-failures"),
+		onProxyDown: parseProxyDownMode(flags["on-proxy-down"]),
+		// The browser is only launched if a source that needs it is processed
+		browser: {
+			pages: parseCount(flags["browser-pages"], "browser-pages"),
+			userAgent: flags["user-agent"],
+			cookieFile: path.resolve(flags["cookie-file"] ?? defaultCookieFile),
+		},
+	};
+	applyRates(flags.rate);
+	applyMirrors(flags.mirror);
+	return options;
+}
+
+/**
+ * Create a Cacher of a command, kept as an active one so that its cache is saved if
+ * the process exits early.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Object} target - The proxy and cache of the cacher, see resolveTargets.
+ * @returns {Cacher} - The cacher.
+ */
+function createCacher(flags, target) {
+	const cacher = new Cacher(cacherOptions(flags, target));
+	activeCachers.push(cacher);
+	return cacher;
+}
+
+/**
+ * Build the options of a processing run from the command line flags.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {AbortSignal} signal - The signal that stops the run.
+ * @returns {Object} - The Cacher run options.
+ */
+function runOptions(flags, signal) {
+	return {
+		dryRun: flags["dry-run"],
+		scrape: !flags["no-scrape"],
+		signal,
+	};
+}
+
+/**
+ * Write the output of a command to stdout. Unlike the progress and diagnostics, which go
+ * through the logger, it is shown whatever the log level and with --quiet.
+ * @param {string} text - The text to write.
+ */
+function writeOutput(text) {
+	process.stdout.write(`${text}\n`);
+}
+
+/**
+ * Write the end of run report of processed entries, unless disabled.
+ * @param {Run} run - The run of the Cacher.
+ * @param {Object} flags - The parsed command line flags.
+ */
+function writeRunReport(run, flags) {
+	if (flags["no-report"]) return;
+
+	const report = buildReport(run.results, run);
+	const { totals } = report;
+	writeOutput(
+		`Run finished: ${totals.cached} chapters cached, ${totals.skipped} skipped, ${totals.failed} failed, ${totals.imagesFailed} images failed.`
+	);
+
+	const reportDir = path.resolve(flags["report-dir"] ?? defaultReportDir);
+	const files = writeReport(report, reportDir);
+	writeOutput(`Report written to ${files.join(", ")}`);
+}
+
+/**
+ * Print the plan of a dry run, or write the report of a run.
+ * @param {Run} run - The run of the Cacher.
+ * @param {Object} flags - The parsed command line flags.
+ * @throws {Error} - If the run was stopped because the proxy is down, once reported.
+ */
+function printRun(run, flags) {
+	if (!run.dryRun) {
+		writeRunReport(run, flags);
+		if (run.proxyError) {
+			throw new Error(
+				`The run was stopped because of the proxy: ${run.proxyError}`
+			);
+		}
+		return;
+	}
+
+	writeOutput(formatPlan(run.plan));
+	if (flags.json) {
+		fs.writeFileSync(
+			flags.json,
+			JSON.stringify(run.plan, null, 2),
+			"utf-8"
+		);
+		writeOutput(`Plan written to ${flags.json}`);
+	}
+}
+
+/**
+ * Flush the cache of the current command, if any. Called when the process exits
+ * (ie on a second SIGINT) so the progress since the last save is not lost.
+ */
+function flushCache() {
+	for (const cacher of activeCachers) cacher.flush();
+}
+
+/**
+ * Release the caches of the current command once it is done with them.
+ */
+function closeCache() {
+	for (const cacher of activeCachers) cacher.closeCache();
+	activeCachers = [];
+}
+
+/**
+ * Start tracking a processing run so that a signal can stop it gracefully.
+ * @returns {AbortController} - The controller whose signal is passed to the Cacher.
+ */
+function startRun() {
+	activeRun = new AbortController();
+	return activeRun;
+}
+
+/**
+ * Ask the active processing run to stop after the chapters in flight.
+ * @param {string} signal - The name of the received signal.
+ * @returns {boolean} - Whether a run is stopping; false if the process should exit right away.
+ */
+function requestShutdown(signal) {
+	if (!activeRun || activeRun.signal.aborted) return false;
+
+	console.log(
+		`Received ${signal}, finishing the chapters in flight. Send it again to exit immediately.`
+	);
+	activeRun.abort();
+	return true;
+}
+
+/**
+ * Start the status server of a command, if --status-port was given.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Cacher[]} cachers - The cachers of the command.
+ * @returns {Promise<StatusServer|null>} - The listening server, or null.
+ */
+async function startStatusServer(flags, cachers) {
+	if (flags["status-port"] === undefined) return null;
+	if (cachers.length > 1) {
+		throw new Error("--status-port follows the run of a single profile");
+	}
+
+	const port = Number(flags["status-port"]);
+	if (!Number.isInteger(port) || port < 0 || port > 65535) {
+		throw new Error(
+			`--status-port must be a port number, got "${flags["status-port"]}"`
+		);
+	}
+	const statusServer = new StatusServer(cachers[0]);
+	const url = await statusServer.listen(port, flags["status-host"]);
+	console.log(
+		`Serving the status on ${url}/status and metrics on ${url}/metrics`
+	);
+	return statusServer;
+}
+
+/**
+ * Run a processing operation of each cacher and print their outcomes. Several cachers run
+ * together, scraping the sources once for all of them.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Cacher[]} cachers - The cachers of the command.
+ * @param {Function} operation - Called with a cacher and the run options, returns the run or null.
+ * @param {Object} options - The options.
+ * @param {AbortSignal} options.signal - The signal that stops the runs.
+ * @param {boolean} [options.printPlans] - Print the plan of dry runs (default true).
+ * @returns {Promise<Array>} - The run of each cacher, null where there was nothing to do.
+ * @throws {Error} - Naming the cachers that failed, once every run is done and their errors printed.
+ */
+async function runCachers(flags, cachers, operation, options) {
+	const { signal, printPlans = true } = options;
+	const print = (run) => {
+		if (run && (printPlans || !run.dryRun)) printRun(run, flags);
+	};
+	if (cachers.length === 1) {
+		const run = await operation(cachers[0], runOptions(flags, signal));
+		print(run);
+		return [run];
+	}
+
+	const outcomes = await runTogether(cachers, (cacher, shared) =>
+		operation(cacher, { ...runOptions(flags, signal), shared })
+	);
+	const failed = [];
+	outcomes.forEach(({ run, error }, i) => {
+		const { profile } = cachers[i].options;
+		writeOutput(`Profile ${profile}:`);
+		try {
+			if (error) throw error;
+			print(run);
+		} catch (err) {
+			console.error(`Error: ${err.message}`);
+			failed.push(profile);
+		}
+	});
+	if (failed.length > 0) {
+		throw new Error(
+			`${failed.length} of ${
+				cachers.length
+			} profiles failed: ${failed.join(", ")}`
+		);
+	}
+	return outcomes.map(({ run }) => run);
+}
+
+/**
+ * Run a processing operation of the cachers, stoppable by a signal, and print its outcome.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Cacher[]} cachers - The cachers of the command.
+ * @param {Function} operation - Called with a cacher and the run options, returns the run or null.
+ * @returns {Promise<Array>} - The run of each cacher, null where there was nothing to do.
+ */
+async function runOperation(flags, cachers, operation) {
+	const statusServer = await startStatusServer(flags, cachers);
+	const run = startRun();
+	try {
+		return await runCachers(flags, cachers, operation, {
+			signal: run.signal,
+		});
+	} finally {
+		activeRun = null;
+		await statusServer?.close();
+	}
+}
+
+/**
+ * The "run" command: cache every chapter of the manga in the archive.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Object[]} targets - The proxies and caches, see resolveTargets.
+ */
+async function runCommand(flags, targets) {
+	const cachers = targets.map((target) => createCacher(flags, target));
+	console.log(`Reading archive ${cachers[0].resolveArchive()}`);
+	await runOperation(flags, cachers, (cacher, options) =>
+		cacher.run(options)
+	);
+}
+
+/**
+ * The "plan" command: a dry run of the "run" command that prints what would be sent to the proxy.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Object[]} targets - The proxies and caches, see resolveTargets.
+ */
+async function planCommand(flags, targets) {
+	await runCommand({ ...flags, "dry-run": true }, targets);
+}
+
+/**
+ * The "retry-failed" command: redo only the chapters stored as failed in the cache.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Object[]} targets - The proxies and caches, see resolveTargets.
+ */
+async function retryFailedCommand(flags, targets) {
+	const cachers = targets.map((target) => createCacher(flags, target));
+	const runs = await runOperation(flags, cachers, (cacher, options) =>
+		cacher.retryFailed(options)
+	);
+	if (runs.every((run) => !run)) {
+		writeOutput("No failed chapters in the cache.");
+	}
+}
+
+/**
+ * The "verify" command: send the chapters stored as cached to the proxy again, all of them
+ * or only those older than --ttl, so chapters the proxy evicted or lost are cached again.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Object[]} targets - The proxies and caches, see resolveTargets.
+ */
+async function verifyCommand(flags, targets) {
+	const cachers = targets.map((target) => createCacher(flags, target));
+	const runs = await runOperation(flags, cachers, (cacher, options) =>
+		cacher.verify(options)
+	);
+	if (runs.every((run) => !run)) {
+		writeOutput(
+			flags.ttl
+				? `No cached chapters older than ${flags.ttl} day(s) in the cache.`
+				: "No cached chapters in the cache."
+		);
+	}
+}
+
+/**
+ * Wait until the interval elapses, an archive in the watched directory changes, or the run is stopped.
+ * @param {number} interval - The maximum wait in milliseconds.
+ * @param {string} directory - The directory to watch for archives.
+ * @param {string|null} archiveName - Only react to this file name, or to any paperbackarchive when null.
+ * @param {AbortSignal} signal - The signal of the run.
+ * @returns {Promise<void>}
+ */
+function waitForChanges(interval, directory, archiveName, signal) {
+	return new Promise((resolve) => {
+		let debounceTimer = null;
+		let watcher = null;
+
+		// Without a watcher the scan still happens on the interval, and the next wait watches again
+		const stopWatching = () => {
+			watcher?.close();
+			watcher = null;
+		};
+
+		const done = () => {
+			clearTimeout(intervalTimer);
+			clearTimeout(debounceTimer);
+			stopWatching();
+			signal.removeEventListener("abort", done);
+			resolve();
+		};
+
+		const intervalTimer = setTimeout(done, interval);
+		signal.addEventListener("abort", done);
+
+		const onError = (error) => {
+			logger.warn(
+				`Unable to watch ${directory} for archives (${error.message}), waiting for the interval instead.`,
+				{ directory }
+			);
+			stopWatching();
+		};
+
+		try {
+			watcher = fs.watch(directory, (eventType, filename) => {
+				if (!filename) return;
+				const matches = archiveName
+					? filename === archiveName
+					: sanitizeFilename(filename).includes("paperbackarchive");
+				if (!matches) return;
+
+				// Wait for the file to stop changing before reading it
+				clearTimeout(debounceTimer);
+				debounceTimer = setTimeout(() => {
+					console.log(`Archive ${filename} changed, rescanning.`);
+					done();
+				}, archiveSettleDelay);
+			});
+			watcher.on("error", onError);
+		} catch (error) {
+			// ie the directory was removed
+			onError(error);
+		}
+	});
+}
+
+/**
+ * The "watch" command: keep running, caching new chapters on an interval and when the archive changes.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Object[]} targets - The proxies and caches, see resolveTargets.
+ */
+async function watchCommand(flags, targets) {
+	const cachers = targets.map((target) => createCacher(flags, target));
+	const interval =
+		(parsePositiveNumber(flags.interval, "interval") ??
+			defaultWatchInterval) *
+		60 *
+		1000;
+	const directory = path.resolve(
+		flags.archive
+			? path.dirname(flags.archive)
+			: flags["watch-dir"] ?? process.cwd()
+	);
+	const archiveName = flags.archive ? path.basename(flags.archive) : null;
+
+	// Keep the caches open between scans
+	for (const cacher of cachers) cacher.openCache({ lock: !flags["dry-run"] });
+	const statusServer = await startStatusServer(flags, cachers);
+	const run = startRun();
+	let archiveState = null;
+
+	console.log(
+		`Watching ${directory} for archives, rescanning every ${
+			interval / 60000
+		} minute(s).`
+	);
+	try {
+		while (!run.signal.aborted) {
+			try {
+				const archiveFilePath = flags.archive
+					? resolveArchiveFile(flags.archive, directory)
+					: findNewestPaperbackArchiveFile(directory);
+				if (!archiveFilePath) {
+					throw new Error(
+						`No paperbackarchive file found in the directory ${directory}.`
+					);
+				}
+
+				const { mtimeMs } = fs.statSync(archiveFilePath);
+				const currentState = `${archiveFilePath}:${mtimeMs}`;
+				if (archiveState !== currentState) {
+					console.log(`Loading archive ${archiveFilePath}`);
+					archiveState = currentState;
+				}
+
+				await runCachers(
+					flags,
+					cachers,
+					(cacher, options) =>
+						cacher.run({
+							...options,
+							archive: archiveFilePath,
+							onlyNew: true,
+						}),
+					{ signal: run.signal, printPlans: false }
+				);
+			} catch (err) {
+				console.error("Error during the scan:", err.message);
+			}
+
+			if (run.signal.aborted) break;
+			console.log(
+				`Scan finished, next scan in ${interval / 60000} minute(s).`
+			);
+			await waitForChanges(interval, directory, archiveName, run.signal);
+		}
+	} finally {
+		activeRun = null;
+		await statusServer?.close();
+		console.log("Stopped watching.");
+	}
+}
+
+/**
+ * The "status" command: print cached and failed chapter counts per source and manga.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Object[]} targets - The proxies and caches, see resolveTargets.
+ */
+function statusCommand(flags, targets) {
+	for (const target of targets) {
+		if (target.profile) writeOutput(`Profile ${target.profile.name}:`);
+		printStatus(createCacher(flags, target).status(), target.cacheFilePath);
+	}
+}
+
+/**
+ * Print the cached and failed chapter counts of a cache.
+ * @param {Object} summary - The summary of the cache, see summarizeCache.
+ * @param {string} cacheFilePath - The path to the cache file.
+ */
+function printStatus(summary, cacheFilePath) {
+	if (Object.keys(summary).length === 0) {
+		writeOutput(`The cache ${cacheFilePath} is empty.`);
+		return;
+	}
+
+	for (const [sourceId, sourceSummary] of Object.entries(summary)) {
+		const mangaCount = Object.keys(sourceSummary.manga).length;
+		writeOutput(
+			`${sourceId}: ${sourceSummary.cached} cached, ${sourceSummary.failed} failed across ${mangaCount} manga`
+		);
+		for (const [mangaId, mangaSummary] of Object.entries(
+			sourceSummary.manga
+		)) {
+			writeOutput(
+				`  ${mangaId}: ${mangaSummary.cached} cached, ${mangaSummary.failed} failed`
+			);
+		}
+	}
+}
+
+/**
+ * The "prune" command: remove manga that are no longer in the archive from the cache.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Object[]} targets - The proxies and caches, see resolveTargets.
+ */
+async function pruneCommand(flags, targets) {
+	const cacher = createCacher(flags, singleTarget(targets, "prune"));
+	console.log(`Reading archive ${cacher.resolveArchive()}`);
+	const removed = await cacher.prune({ dryRun: flags["dry-run"] });
+
+	for (const { sourceId, mangaId, chapters } of removed) {
+		writeOutput(
+			`${
+				flags["dry-run"] ? "Would remove" : "Removed"
+			} mangaId ${mangaId} from sourceId ${sourceId} (${chapters} chapters)`
+		);
+	}
+	writeOutput(`${removed.length} manga no longer in the archive.`);
+}
+
+/**
+ * The "export" command: write the cache to another file, in the format of that file.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Object[]} targets - The proxies and caches, see resolveTargets.
+ * @param {string[]} args - The file to export to.
+ */
+function exportCommand(flags, targets, args) {
+	const target = singleTarget(targets, "export");
+	const { cacheFilePath } = target;
+	const exportFilePath = path.resolve(args[0]);
+	createCacher(flags, target).exportCache(exportFilePath);
+	writeOutput(`Exported the cache ${cacheFilePath} to ${exportFilePath}.`);
+}
+
+/**
+ * The "import" command: merge the chapters of another cache file into the cache.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Object[]} targets - The proxies and caches, see resolveTargets.
+ * @param {string[]} args - The file to import from.
+ */
+async function importCommand(flags, targets, args) {
+	const importFilePath = path.resolve(args[0]);
+	const target = singleTarget(targets, "import");
+	const merged = await createCacher(flags, target).importCache(
+		importFilePath,
+		{ dryRun: flags["dry-run"] }
+	);
+	writeOutput(
+		`${
+			flags["dry-run"] ? "Would import" : "Imported"
+		} ${merged} chapters from ${importFilePath}.`
+	);
+}
+
+/**
+ * The "list-sources" command: show which sourceIds in the archive are supported.
+ * @param {Object} flags - The parsed command line flags.
+ * @param {Object[]} targets - The proxies and caches, see resolveTargets.
+ */
+async function listSourcesCommand(flags, targets) {
+	// Only the archive is read, so any of the profiles does
+	const cacher = createCacher(flags, targets[0]);
+	const archiveFilePath = cacher.resolveArchive();
+	console.log(`Reading archive ${archiveFilePath}`);
+	const { entries } = await cacher.loadLibrary(archiveFilePath);
+
+	const counts = {};
+	for (const entry of Object.values(entries)) {
+		if (!entry || !entry.sourceId) continue;
+		const sourceId = sanitizeSourceId(entry.sourceId);
+		counts[sourceId] = (counts[sourceId] ?? 0) + 1;
+	}
+
+	for (const [sourceId, count] of Object.entries(counts)) {
+		let state = "unsupported";
+		if (sources.isIgnoredSource(sourceId)) state = "ignored";
+		else if (sources.getSource(sourceId)) state = "supported";
+		writeOutput(`${sourceId}: ${count} manga, ${state}`);
+	}
+
+	const supported = sources.listSources().map((adapter) => adapter.id);
+	writeOutput(`Supported sources: ${supported.join(", ")}`);
+}
+
+const commands = {
+	run: runCommand,
+	plan: planCommand,
+	status: statusCommand,
+	"retry-failed": retryFailedCommand,
+	verify: verifyCommand,
+	prune: pruneCommand,
+	"list-sources": listSourcesCommand,
+	watch: watchCommand,
+	export: exportCommand,
+	import: importCommand,
+};
+
+// Positional arguments taken by the commands, besides the command name
+const commandArgCounts = {
+	export: 1,
+	import: 1,
+};
+
+/**
+ * Run the command line interface.
+ * @param {string[]} argv - The command line arguments, without the node and script paths.
+ * @returns {Promise<number>} - The process exit code.
+ */
+async function main(argv) {
+	let parsed;
+	try {
+		parsed = parseArgs({
+			args: argv,
+			options: optionsConfig,
+			allowPositionals: true,
+		});
+	} catch (error) {
+		console.error(error.message);
+		console.error(usage);
+		return 1;
+	}
+
+	const { values: flags, positionals } = parsed;
+	if (flags.help) {
+		writeOutput(usage);
+		return 0;
+	}
+
+	const commandName = positionals[0] ?? "run";
+	const command = commands[commandName];
+	if (!command) {
+		console.error(`Unknown command: ${commandName}`);
+		console.error(usage);
+		return 1;
+	}
+	const args = positionals.slice(1);
+	const argCount = commandArgCounts[commandName] ?? 0;
+	if (args.length !== argCount) {
+		console.error(
+			`The ${commandName} command takes ${argCount} argument(s), got ${args.length}`
+		);
+		console.error(usage);
+		return 1;
+	}
+
+	try {
+		const config = loadConfig({ file: flags.config });
+		applyConfig(config);
+		// The flags given on the command line win over the configuration, and the selection
+		// rules without a flag are read from it as they are
+		const settings = {
+			...configFlags(config),
+			...flags,
+			selection: config.selection,
+		};
+		configureLogger(settings);
+		await command(settings, resolveTargets(flags, config), args);
+		return 0;
+	} catch (err) {
+		console.error("Error:", err.message);
+		return 1;
+	} finally {
+		closeCache();
+	}
+}
+
+module.exports = {
+	main,
+	requestShutdown,
+	flushCache,
+};
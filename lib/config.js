@@ -0,0 +1,517 @@
+const fs = require("fs");
+const path = require("path");
+const sources = require("./sources");
+const { profileProblems } = require("./profiles");
+const { configureHost } = require("./limiter");
+const { configureMirrors } = require("./mirrors");
+const { configureRetries } = require("./request");
+const { configureGenericRequests } = require("./proxy");
+const { parseRange } = require("./selection");
+const { sanitizeSourceId } = require("./utils");
+
+// File the configuration is read from when none is given, if it exists
+const defaultConfigFile = "config.json";
+
+// Environment variables of the settings are this prefix and their path, ie PAPERBACK_CACHER_LOG_LEVEL
+const envPrefix = "PAPERBACK_CACHER_";
+
+/**
+ * The settings of the configuration file. Each rule has a type:
+ * - string, url, boolean
+ * - range, a chapter number range, see ./selection.js
+ * - number, with min, max and integer
+ * - enum, with values
+ * - list, with items (a rule), read from the environment as comma separated values
+ * - object, with properties (rules by key), or any keys without properties
+ * - map, with values (a rule) for any key, ie hostnames, or with keys: "source" for the
+ *   sourceIds of the source registry only
+ * Settings with a flag are overridden by that command line flag, and every setting outside
+ * of maps can be set by its environment variable (env, or the one named after its path).
+ */
+const schema = {
+	site: { type: "url", env: "SITE" },
+	token: { type: "string", env: "TOKEN" },
+	archive: { type: "string", flag: "archive" },
+	cacheFile: { type: "string", flag: "cache" },
+	reportDir: { type: "string", flag: "report-dir" },
+	sources: { type: "list", items: { type: "string" }, flag: "sources" },
+	concurrency: { type: "number", integer: true, min: 1, flag: "concurrency" },
+	chapterConcurrency: {
+		type: "number",
+		integer: true,
+		min: 1,
+		flag: "chapter-concurrency",
+	},
+	skipRead: { type: "boolean", flag: "skip-read" },
+	nextUnread: { type: "number", integer: true, min: 1, flag: "next-unread" },
+	ttl: { type: "number", min: 0, exclusiveMin: true, flag: "ttl" },
+	ignoredSources: { type: "list", items: { type: "string" } },
+	selection: {
+		type: "object",
+		properties: {
+			latest: { type: "number", integer: true, min: 1, flag: "latest" },
+			ranges: {
+				type: "list",
+				items: { type: "range" },
+				flag: "chapters",
+			},
+			include: { type: "list", items: { type: "string" } },
+			exclude: { type: "list", items: { type: "string" } },
+			// Keyed by mangaId or title
+			manga: {
+				type: "map",
+				values: {
+					type: "object",
+					properties: {
+						latest: { type: "number", integer: true, min: 0 },
+						ranges: { type: "list", items: { type: "range" } },
+					},
+				},
+			},
+		},
+	},
+	log: {
+		type: "object",
+		properties: {
+			level: {
+				type: "enum",
+				values: ["debug", "info", "warn", "error"],
+				flag: "log-level",
+			},
+			format: {
+				type: "enum",
+				values: ["text", "json"],
+				flag: "log-format",
+			},
+			dir: { type: "string", flag: "log-dir" },
+			maxSize: { type: "number", min: 0, flag: "log-max-size" },
+			maxFiles: {
+				type: "number",
+				integer: true,
+				min: 0,
+				flag: "log-max-files",
+			},
+			daily: { type: "boolean", flag: "log-daily" },
+			quiet: { type: "boolean", flag: "quiet" },
+		},
+	},
+	proxy: {
+		type: "object",
+		properties: {
+			preflight: { type: "boolean", flag: "no-preflight", negate: true },
+			failures: {
+				type: "number",
+				integer: true,
+				min: 1,
+				flag: "proxy-failures",
+			},
+			onDown: {
+				type: "enum",
+				values: ["pause", "abort"],
+				flag: "on-proxy-down",
+			},
+			maxUrlLength: { type: "number", integer: true, min: 200 },
+		},
+	},
+	retry: {
+		type: "object",
+		properties: {
+			retries: { type: "number", integer: true, min: 0 },
+			minDelay: { type: "number", min: 0 },
+			maxDelay: { type: "number", min: 0 },
+			maxRetryAfter: { type: "number", min: 0 },
+		},
+	},
+	rates: {
+		type: "map",
+		values: {
+			type: "object",
+			properties: {
+				rate: { type: "number", min: 0, exclusiveMin: true },
+				concurrency: { type: "number", integer: true, min: 1 },
+				burst: { type: "number", integer: true, min: 1 },
+			},
+		},
+	},
+	mirrors: {
+		type: "map",
+		keys: "source",
+		values: { type: "list", items: { type: "url" }, minItems: 1 },
+	},
+	mangadex: {
+		type: "object",
+		properties: {
+			feedLimit: { type: "number", integer: true, min: 1, max: 500 },
+			languages: {
+				type: "list",
+				items: { type: "string" },
+				minItems: 1,
+			},
+			contentRatings: {
+				type: "list",
+				items: {
+					type: "enum",
+					values: ["safe", "suggestive", "erotica", "pornographic"],
+				},
+				minItems: 1,
+			},
+			preferredGroups: { type: "list", items: { type: "string" } },
+			blockedGroups: { type: "list", items: { type: "string" } },
+			dedupe: { type: "boolean" },
+			archiveLanguage: { type: "boolean" },
+		},
+	},
+	browser: {
+		type: "object",
+		properties: {
+			pages: {
+				type: "number",
+				integer: true,
+				min: 1,
+				flag: "browser-pages",
+			},
+			userAgent: { type: "string", flag: "user-agent" },
+			cookieFile: { type: "string", flag: "cookie-file" },
+		},
+	},
+	watch: {
+		type: "object",
+		properties: {
+			interval: {
+				type: "number",
+				min: 0,
+				exclusiveMin: true,
+				flag: "interval",
+			},
+			dir: { type: "string", flag: "watch-dir" },
+		},
+	},
+	status: {
+		type: "object",
+		properties: {
+			port: {
+				type: "number",
+				integer: true,
+				min: 0,
+				max: 65535,
+				flag: "status-port",
+			},
+			host: { type: "string", flag: "status-host" },
+		},
+	},
+	// Checked by ./profiles.js
+	profiles: { type: "object" },
+};
+
+/**
+ * Describe the values a number rule accepts.
+ * @param {Object} rule - The number rule.
+ * @returns {string} - ie "a whole number from 1 to 500".
+ */
+function describeNumber(rule) {
+	const kind = rule.integer ? "a whole number" : "a number";
+	if (rule.min !== undefined && rule.max !== undefined) {
+		return `${kind} from ${rule.min} to ${rule.max}`;
+	}
+	if (rule.min !== undefined) {
+		return `${kind} ${rule.exclusiveMin ? "over" : "of at least"} ${
+			rule.min
+		}`;
+	}
+	return kind;
+}
+
+/**
+ * Check a value against a rule of the schema.
+ * @param {*} value - The value.
+ * @param {Object} rule - The rule.
+ * @param {string} name - The path of the value, for the messages.
+ * @param {string[]} problems - Receives a message for each problem found.
+ */
+function validateValue(value, rule, name, problems) {
+	const got = JSON.stringify(value);
+	switch (rule.type) {
+		case "string":
+			if (typeof value !== "string") {
+				problems.push(`${name} must be a string, got ${got}`);
+			}
+			break;
+		case "url":
+			if (typeof value !== "string" || !URL.canParse(value)) {
+				problems.push(`${name} must be a URL, got ${got}`);
+			}
+			break;
+		case "range":
+			if (typeof value !== "string" || !parseRange(value)) {
+				problems.push(
+					`${name} must be a chapter range like 1-50, 100-, -20 or 12, got ${got}`
+				);
+			}
+			break;
+		case "boolean":
+			if (typeof value !== "boolean") {
+				problems.push(`${name} must be true or false, got ${got}`);
+			}
+			break;
+		case "number":
+			if (
+				typeof value !== "number" ||
+				!Number.isFinite(value) ||
+				(rule.integer && !Number.isInteger(value)) ||
+				(rule.min !== undefined &&
+					(rule.exclusiveMin
+						? value <= rule.min
+						: value < rule.min)) ||
+				(rule.max !== undefined && value > rule.max)
+			) {
+				problems.push(
+					`${name} must be ${describeNumber(rule)}, got ${got}`
+				);
+			}
+			break;
+		case "enum":
+			if (!rule.values.includes(value)) {
+				problems.push(
+					`${name} must be one of ${rule.values.join(
+						", "
+					)}, got ${got}`
+				);
+			}
+			break;
+		case "list":
+			if (!Array.isArray(value)) {
+				problems.push(`${name} must be a list, got ${got}`);
+				break;
+			}
+			if (value.length < (rule.minItems ?? 0)) {
+				problems.push(
+					`${name} must have at least ${rule.minItems} item(s)`
+				);
+			}
+			value.forEach((item, i) =>
+				validateValue(item, rule.items, `${name}[${i}]`, problems)
+			);
+			break;
+		case "object":
+		case "map":
+			if (!value || typeof value !== "object" || Array.isArray(value)) {
+				problems.push(`${name} must be an object, got ${got}`);
+				break;
+			}
+			if (rule.type === "map") {
+				for (const [key, item] of Object.entries(value)) {
+					if (
+						rule.keys === "source" &&
+						!sources.getSource(sanitizeSourceId(key))
+					) {
+						const known = sources.listSources().map(({ id }) => id);
+						problems.push(
+							`unknown source ${name}.${key}, expected one of ${known.join(
+								", "
+							)}`
+						);
+						continue;
+					}
+					validateValue(
+						item,
+						rule.values,
+						`${name}.${key}`,
+						problems
+					);
+				}
+			} else if (rule.properties) {
+				validateObject(value, rule.properties, `${name}.`, problems);
+			}
+			break;
+	}
+}
+
+/**
+ * Check the keys of an object against the rules of its properties.
+ * @param {Object} object - The object.
+ * @param {Object} properties - The rules, by key.
+ * @param {string} prefix - The path of the object followed by a dot, or "" at the top.
+ * @param {string[]} problems - Receives a message for each problem found.
+ */
+function validateObject(object, properties, prefix, problems) {
+	for (const [key, value] of Object.entries(object)) {
+		if (!Object.hasOwn(properties, key)) {
+			problems.push(
+				`unknown key ${prefix}${key}, expected one of ${Object.keys(
+					properties
+				).join(", ")}`
+			);
+			continue;
+		}
+		validateValue(value, properties[key], `${prefix}${key}`, problems);
+	}
+}
+
+/**
+ * Get the environment variable of a setting.
+ * @param {string[]} keys - The path of the setting.
+ * @param {Object} rule - The rule of the setting.
+ * @returns {string} - The variable name.
+ */
+function envName(keys, rule) {
+	return (
+		rule.env ??
+		envPrefix +
+			keys
+				.map((key) => key.replace(/([a-z])([A-Z])/g, "$1_$2"))
+				.join("_")
+				.toUpperCase()
+	);
+}
+
+/**
+ * Parse the value of an environment variable for a setting. Values that don't parse are
+ * kept as strings, so that validation reports them.
+ * @param {string} raw - The value of the variable.
+ * @param {Object} rule - The rule of the setting.
+ * @returns {*} - The parsed value.
+ */
+function parseEnvValue(raw, rule) {
+	switch (rule.type) {
+		case "number":
+			return raw.trim() !== "" && !Number.isNaN(Number(raw))
+				? Number(raw)
+				: raw;
+		case "boolean":
+			if (raw === "true") return true;
+			if (raw === "false") return false;
+			return raw;
+		case "list":
+			return raw
+				.split(",")
+				.map((item) => item.trim())
+				.filter(Boolean);
+		default:
+			return raw;
+	}
+}
+
+/**
+ * Set the settings given by environment variables over the configuration.
+ * @param {Object} config - The configuration, updated in place.
+ * @param {Object} properties - The rules of the level being read.
+ * @param {string[]} keys - The path of the level.
+ * @param {Object} env - The environment variables.
+ * @param {string[]} problems - Receives a message for each invalid variable.
+ */
+function applyEnv(config, properties, keys, env, problems) {
+	for (const [key, rule] of Object.entries(properties)) {
+		const settingKeys = [...keys, key];
+		// Maps and objects without properties have no fixed keys to name variables after
+		if (rule.type === "map") continue;
+		if (rule.type === "object") {
+			if (!rule.properties) continue;
+			const section = { ...(config[key] ?? {}) };
+			applyEnv(section, rule.properties, settingKeys, env, problems);
+			if (Object.keys(section).length > 0) config[key] = section;
+			continue;
+		}
+
+		const name = envName(settingKeys, rule);
+		if (env[name] === undefined || env[name] === "") continue;
+		const value = parseEnvValue(env[name], rule);
+		const envProblems = [];
+		validateValue(value, rule, name, envProblems);
+		problems.push(...envProblems);
+		if (envProblems.length === 0) config[key] = value;
+	}
+}
+
+/**
+ * Read the configuration file, if any, and the settings of the environment variables, and
+ * check them.
+ * @param {Object} [options] - The options.
+ * @param {string} [options.file] - The configuration file, which must exist (default:
+ *   $PAPERBACK_CACHER_CONFIG, or ./config.json when it exists).
+ * @param {Object} [options.env] - The environment variables (default: process.env).
+ * @returns {Object} - The configuration, with the path of its file as file (null without one).
+ * @throws {Error} - Listing every invalid or unknown setting.
+ */
+function loadConfig(options = {}) {
+	const env = options.env ?? process.env;
+	const requested = options.file ?? env[`${envPrefix}CONFIG`];
+	const filePath = path.resolve(requested ?? defaultConfigFile);
+
+	let config = {};
+	if (fs.existsSync(filePath)) {
+		try {
+			config = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+		} catch (error) {
+			throw new Error(
+				`The configuration file ${filePath} isn't valid JSON: ${error.message}`
+			);
+		}
+	} else if (requested) {
+		throw new Error(`The configuration file ${filePath} doesn't exist`);
+	}
+	const file = fs.existsSync(filePath) ? filePath : null;
+
+	const problems = [];
+	if (!config || typeof config !== "object" || Array.isArray(config)) {
+		problems.push("the configuration must be a JSON object");
+		config = {};
+	}
+	validateObject(config, schema, "", problems);
+	if (config.profiles && typeof config.profiles === "object") {
+		problems.push(...profileProblems(config.profiles));
+	}
+	applyEnv(config, schema, [], env, problems);
+
+	if (problems.length > 0) {
+		throw new Error(
+			`Invalid configuration${
+				file ? ` in ${file}` : ""
+			}:\n  - ${problems.join("\n  - ")}`
+		);
+	}
+	return { ...config, file };
+}
+
+/**
+ * Get the command line flags set by the configuration, for the settings that have one.
+ * @param {Object} config - The configuration, see loadConfig.
+ * @param {Object} [properties] - The rules of the level being read.
+ * @returns {Object} - The flag values, keyed by flag name.
+ */
+function configFlags(config, properties = schema) {
+	const flags = {};
+	for (const [key, rule] of Object.entries(properties)) {
+		const value = config[key];
+		if (value === undefined) continue;
+		if (rule.type === "object" && rule.properties) {
+			Object.assign(flags, configFlags(value, rule.properties));
+		} else if (rule.flag) {
+			flags[rule.flag] = rule.negate ? !value : value;
+		}
+	}
+	return flags;
+}
+
+/**
+ * Apply the settings of the configuration that have no command line flag to the modules
+ * they belong to: rate limits, mirrors, retries, ignored sources and source settings.
+ * @param {Object} config - The configuration, see loadConfig.
+ */
+function applyConfig(config) {
+	for (const [host, limits] of Object.entries(config.rates ?? {})) {
+		configureHost(host, limits);
+	}
+	for (const [sourceId, mirrors] of Object.entries(config.mirrors ?? {})) {
+		configureMirrors(sanitizeSourceId(sourceId), mirrors);
+	}
+	if (config.retry) configureRetries(config.retry);
+	if (config.proxy) configureGenericRequests(config.proxy);
+	if (config.ignoredSources) sources.setIgnoredSources(config.ignoredSources);
+	if (config.mangadex) sources.configureSource("mangadex", config.mangadex);
+}
+
+module.exports = {
+	loadConfig,
+	configFlags,
+	applyConfig,
+};
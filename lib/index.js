@@ -0,0 +1,15 @@
+// The library entry point, for embedding the cacher in another program
+const { Cacher, runTogether } = require("./cacher");
+const { configureHost } = require("./limiter");
+const { configureMirrors } = require("./mirrors");
+const sources = require("./sources");
+const logger = require("./logger");
+
+module.exports = {
+	Cacher,
+	runTogether,
+	configureHost,
+	configureMirrors,
+	listSources: sources.listSources,
+	logger,
+};
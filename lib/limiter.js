@@ -0,0 +1,254 @@
+const { Gauge, Histogram } = require("./metrics");
+
+// Requests per second and requests in flight allowed for each host.
+// "proxy" stands for the host of the proxy site, see setProxySite.
+// "proxy:<profile>" keys default to these limits too.
+const defaultHostLimits = {
+	// Mangadex documents a global limit of 5 requests per second per IP
+	"api.mangadex.org": { rate: 5, concurrency: 5 },
+	"weebcentral.com": { rate: 2, concurrency: 2 },
+	"manganato.com": { rate: 2, concurrency: 2 },
+	"batocomic.org": { rate: 1, concurrency: 1 },
+	proxy: { rate: 2, concurrency: 2 },
+};
+
+// Limits for hosts that are not listed above
+const fallbackHostLimits = { rate: 2, concurrency: 2 };
+
+const hostLimits = { ...defaultHostLimits };
+const limiters = new Map();
+
+// Hostnames that share the limits of another host, ie the mirrors of a source
+const hostAliases = new Map();
+
+// Limits keys of the proxy sites, by host (hostname and port)
+const proxyHosts = new Map();
+
+const requestDuration = new Histogram(
+	"paperback_cacher_request_duration_seconds",
+	'Duration of the requests to each host ("proxy" for the proxy site), without the time spent queued'
+);
+
+new Gauge(
+	"paperback_cacher_queue_depth",
+	"Requests waiting for the rate limits of each host",
+	(gauge) => {
+		for (const [host, limiter] of limiters)
+			gauge.set({ host }, limiter.pending);
+	}
+);
+
+new Gauge(
+	"paperback_cacher_requests_in_flight",
+	"Requests in progress to each host",
+	(gauge) => {
+		for (const [host, limiter] of limiters)
+			gauge.set({ host }, limiter.active);
+	}
+);
+
+/**
+ * A token bucket rate limiter that also caps the number of tasks running at once.
+ */
+class RateLimiter {
+	/**
+	 * @param {Object} limits - The limits to enforce.
+	 * @param {number} limits.rate - Tasks started per second.
+	 * @param {number} limits.concurrency - Tasks running at the same time.
+	 * @param {number} [limits.burst] - Tasks that can start at once after being idle (defaults to the rate).
+	 */
+	constructor({ rate, concurrency, burst }) {
+		this.rate = rate;
+		this.concurrency = concurrency;
+		this.burst = Math.max(1, burst ?? rate);
+		this.tokens = this.burst;
+		this.lastRefill = Date.now();
+		this.active = 0;
+		this.queue = [];
+		this.timer = null;
+	}
+
+	/**
+	 * Run a task once a token and a concurrency slot are available.
+	 * @param {Function} fn - The async task to run.
+	 * @returns {Promise<*>} - The result of the task.
+	 */
+	async schedule(fn) {
+		await new Promise((resolve) => {
+			this.queue.push(resolve);
+			this.drain();
+		});
+		try {
+			return await fn();
+		} finally {
+			this.active--;
+			this.drain();
+		}
+	}
+
+	/**
+	 * The number of tasks waiting for a token or a slot.
+	 * @returns {number} - The queue length.
+	 */
+	get pending() {
+		return this.queue.length;
+	}
+
+	/**
+	 * Add the tokens earned since the last refill.
+	 */
+	refill() {
+		const now = Date.now();
+		const earned = ((now - this.lastRefill) / 1000) * this.rate;
+		this.tokens = Math.min(this.burst, this.tokens + earned);
+		this.lastRefill = now;
+	}
+
+	/**
+	 * Start as many queued tasks as the limits allow, and wake up later for the rest.
+	 */
+	drain() {
+		while (this.queue.length > 0 && this.active < this.concurrency) {
+			this.refill();
+			if (this.tokens < 1) {
+				if (!this.timer) {
+					const wait = ((1 - this.tokens) / this.rate) * 1000;
+					this.timer = setTimeout(() => {
+						this.timer = null;
+						this.drain();
+					}, Math.ceil(wait));
+				}
+				return;
+			}
+			this.tokens--;
+			this.active++;
+			this.queue.shift()();
+		}
+	}
+}
+
+/**
+ * Get the host limits key for a URL.
+ * @param {string} url - The URL being requested.
+ * @returns {string} - A key of hostLimits, the key of a proxy site, or the URL's hostname.
+ */
+function hostKey(url) {
+	const { host, hostname: requestedHostname } = new URL(url);
+	// Proxies can share a hostname on different ports, ie several on one machine
+	if (proxyHosts.has(host)) return proxyHosts.get(host);
+
+	const hostname = hostAliases.get(requestedHostname) ?? requestedHostname;
+
+	// Match subdomains too (ie www.manganato.com)
+	const known = Object.keys(hostLimits).find(
+		(limitsHost) =>
+			hostname === limitsHost || hostname.endsWith(`.${limitsHost}`)
+	);
+	return known ?? hostname;
+}
+
+/**
+ * Get the limits of a host limits key.
+ * @param {string} key - The key, see hostKey.
+ * @returns {Object} - The limits.
+ */
+function getHostLimits(key) {
+	if (hostLimits[key]) return hostLimits[key];
+	return key.startsWith("proxy:") ? hostLimits.proxy : fallbackHostLimits;
+}
+
+/**
+ * Change the limits of a host. Takes effect for requests made afterwards.
+ * @param {string} host - The hostname, "proxy" for the proxy sites, or "proxy:<profile>" for
+ *   the proxy site of a profile.
+ * @param {Object} limits - The new limits, merged over the current ones.
+ * @param {number} [limits.rate] - Requests per second.
+ * @param {number} [limits.concurrency] - Requests in flight at the same time.
+ */
+function configureHost(host, limits) {
+	hostLimits[host] = {
+		...getHostLimits(host),
+		...limits,
+	};
+	for (const key of limiters.keys()) {
+		// The proxy sites of profiles without limits of their own follow the "proxy" ones
+		if (
+			key === host ||
+			(host === "proxy" && key.startsWith("proxy:") && !hostLimits[key])
+		) {
+			limiters.delete(key);
+		}
+	}
+}
+
+/**
+ * Make requests to a hostname share the limits and the limiter of another host.
+ * @param {string} alias - The hostname, ie a mirror domain.
+ * @param {string} host - The hostname whose limits apply.
+ */
+function aliasHost(alias, host) {
+	if (alias === host) return;
+	hostAliases.set(alias, host);
+}
+
+/**
+ * Set the proxy site whose requests use the limits of a key, replacing the site that had it.
+ * @param {string|null} site - The URL of the proxy site, or null for none.
+ * @param {string} [key] - The limits key: "proxy" (default), or "proxy:<profile>" when
+ *   several proxies are warmed at once, so that each of them has its own limiter.
+ */
+function setProxySite(site, key = "proxy") {
+	for (const [host, proxyKey] of proxyHosts) {
+		if (proxyKey === key) proxyHosts.delete(host);
+	}
+	// An invalid site is reported by the proxy requests themselves
+	if (!site || !URL.canParse(site)) return;
+	proxyHosts.set(new URL(site).host, key);
+}
+
+/**
+ * Get the limiter shared by every request to the host of a URL.
+ * @param {string} url - The URL being requested.
+ * @returns {RateLimiter} - The host's limiter.
+ */
+function getHostLimiter(url) {
+	const key = hostKey(url);
+	if (!limiters.has(key)) {
+		limiters.set(key, new RateLimiter(getHostLimits(key)));
+	}
+	return limiters.get(key);
+}
+
+/**
+ * Run a request to a URL within the limits of its host, recording its duration.
+ * @param {string} url - The URL being requested.
+ * @param {Function} fn - The async function performing the request.
+ * @returns {Promise<*>} - The result of the function.
+ */
+function scheduleRequest(url, fn) {
+	const host = hostKey(url);
+	return getHostLimiter(url).schedule(async () => {
+		const startedAt = performance.now();
+		let outcome = "error";
+		try {
+			const result = await fn();
+			outcome = "success";
+			return result;
+		} finally {
+			requestDuration.observe(
+				{ host, outcome },
+				(performance.now() - startedAt) / 1000
+			);
+		}
+	});
+}
+
+module.exports = {
+	RateLimiter,
+	hostKey,
+	configureHost,
+	aliasHost,
+	setProxySite,
+	getHostLimiter,
+	scheduleRequest,
+};
@@ -0,0 +1,116 @@
+const fs = require("fs");
+const logger = require("./logger");
+
+// Milliseconds during which a lock file that can't be read is still considered held
+const lockGracePeriod = 10000;
+
+/**
+ * Check whether a process is still running.
+ * @param {number} pid - The process id.
+ * @returns {boolean} - Whether the process exists.
+ */
+function isProcessRunning(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (error) {
+		// EPERM means the process exists but belongs to another user
+		return error.code === "EPERM";
+	}
+}
+
+/**
+ * Read the holder of a lock file.
+ * @param {string} lockFilePath - The path to the lock file.
+ * @returns {Object|null} - The pid and start time of the holder, null if the file can't be
+ *   read or parsed.
+ */
+function readLockHolder(lockFilePath) {
+	try {
+		const holder = JSON.parse(fs.readFileSync(lockFilePath, "utf-8"));
+		return holder?.pid ? holder : null;
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * Get how long ago a file was last modified.
+ * @param {string} filePath - The path to the file.
+ * @returns {number} - The age in milliseconds, Infinity if the file is gone.
+ */
+function fileAge(filePath) {
+	try {
+		return Date.now() - fs.statSync(filePath).mtimeMs;
+	} catch (error) {
+		return Infinity;
+	}
+}
+
+/**
+ * Take the lock file next to a cache file so that two runs can't write the same cache.
+ * The lock is written to a temporary file first and linked into place, so it is never seen
+ * empty. A lock left behind by a process that is no longer running is taken over, and so is
+ * one that can't be read once it is older than lockGracePeriod.
+ * The lock is released when the process exits.
+ * @param {string} cacheFilePath - The path to the cache file.
+ * @returns {Function} - Releases the lock.
+ * @throws {Error} - If another running process holds the lock.
+ */
+function acquireLock(cacheFilePath) {
+	const lockFilePath = `${cacheFilePath}.lock`;
+	const tempFilePath = `${lockFilePath}.${process.pid}.tmp`;
+	fs.writeFileSync(
+		tempFilePath,
+		JSON.stringify({
+			pid: process.pid,
+			startedAt: new Date().toISOString(),
+		})
+	);
+
+	try {
+		for (let attempt = 0; attempt < 2; attempt++) {
+			try {
+				fs.linkSync(tempFilePath, lockFilePath);
+
+				let released = false;
+				const release = () => {
+					if (released) return;
+					released = true;
+					process.removeListener("exit", release);
+					fs.rmSync(lockFilePath, { force: true });
+				};
+				process.on("exit", release);
+				return release;
+			} catch (error) {
+				if (error.code !== "EEXIST") throw error;
+			}
+
+			const holder = readLockHolder(lockFilePath);
+			if (holder && isProcessRunning(holder.pid)) {
+				throw new Error(
+					`Another run (pid ${holder.pid}, started ${holder.startedAt}) is using the cache ${cacheFilePath}. Remove ${lockFilePath} if that is not the case.`
+				);
+			}
+			// Lock files of other versions may have been written in place, give them time
+			if (!holder && fileAge(lockFilePath) < lockGracePeriod) {
+				throw new Error(
+					`Another run is taking the lock of the cache ${cacheFilePath}. Remove ${lockFilePath} if that is not the case.`
+				);
+			}
+
+			logger.warn(`Removing the stale lock file ${lockFilePath}`, {
+				cacheFile: cacheFilePath,
+			});
+			fs.rmSync(lockFilePath, { force: true });
+		}
+	} finally {
+		fs.rmSync(tempFilePath, { force: true });
+	}
+
+	throw new Error(`Unable to take the lock file ${lockFilePath}.`);
+}
+
+module.exports = {
+	acquireLock,
+};
@@ -0,0 +1,227 @@
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+
+const levels = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const defaultOptions = {
+	level: "info", // Lowest level written anywhere
+	format: "text", // "text" or "json" (one JSON object per line) for the log files
+	quiet: false, // Only print warnings and errors to the terminal
+	dir: process.cwd(), // Directory of debug.log and error.log
+	maxSize: 10 * 1024 * 1024, // Rotate a log file once it reaches this many bytes (0 to disable)
+	daily: false, // Also rotate a log file when the day changes
+	maxFiles: 5, // Rotated files kept per log file
+};
+
+/**
+ * An append-only log file rotated by size and/or date, keeping a limited number of old files.
+ * Writes are synchronous so nothing is lost when the process exits abruptly.
+ */
+class RotatingFile {
+	/**
+	 * @param {string} filePath - The path of the log file.
+	 * @param {Object} options - The rotation options (maxSize, daily, maxFiles).
+	 */
+	constructor(filePath, options) {
+		this.filePath = filePath;
+		this.options = options;
+		this.fd = null;
+	}
+
+	/**
+	 * Open the log file for appending, remembering its size and the day it was last written.
+	 */
+	open() {
+		fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+		this.fd = fs.openSync(this.filePath, "a");
+		const stats = fs.fstatSync(this.fd);
+		this.size = stats.size;
+		this.day = dayOf(stats.size > 0 ? stats.mtime : new Date());
+	}
+
+	/**
+	 * Append a line, rotating the file first if needed.
+	 * @param {string} line - The line to write, without a trailing newline.
+	 */
+	write(line) {
+		if (this.fd === null) this.open();
+
+		const data = line + "\n";
+		const bytes = Buffer.byteLength(data);
+		const { maxSize, daily } = this.options;
+		if (
+			this.size > 0 &&
+			((maxSize > 0 && this.size + bytes > maxSize) ||
+				(daily && this.day !== dayOf(new Date())))
+		) {
+			this.rotate();
+		}
+
+		fs.writeSync(this.fd, data);
+		this.size += bytes;
+	}
+
+	/**
+	 * Shift the old files (debug.log.1 becomes debug.log.2...) and start a new file.
+	 */
+	rotate() {
+		this.close();
+
+		const { maxFiles } = this.options;
+		fs.rmSync(`${this.filePath}.${maxFiles}`, { force: true });
+		for (let i = maxFiles - 1; i >= 1; i--) {
+			if (fs.existsSync(`${this.filePath}.${i}`)) {
+				fs.renameSync(
+					`${this.filePath}.${i}`,
+					`${this.filePath}.${i + 1}`
+				);
+			}
+		}
+		if (maxFiles > 0) {
+			fs.renameSync(this.filePath, `${this.filePath}.1`);
+		} else {
+			fs.rmSync(this.filePath, { force: true });
+		}
+
+		this.open();
+	}
+
+	/**
+	 * Close the log file. It is reopened on the next write.
+	 */
+	close() {
+		if (this.fd === null) return;
+		fs.closeSync(this.fd);
+		this.fd = null;
+	}
+}
+
+/**
+ * Get the local calendar day of a date, used for daily rotation.
+ * @param {Date} date - The date.
+ * @returns {string} - The day as YYYY-MM-DD.
+ */
+function dayOf(date) {
+	const month = String(date.getMonth() + 1).padStart(2, "0");
+	const day = String(date.getDate()).padStart(2, "0");
+	return `${date.getFullYear()}-${month}-${day}`;
+}
+
+let options = { ...defaultOptions };
+let debugFile = null; // Every level
+let errorFile = null; // Warnings and errors
+
+// The console methods before index.js routes them through the logger
+const terminal = {
+	log: console.log.bind(console),
+	error: console.error.bind(console),
+};
+
+/**
+ * Change the logger options. Log files are reopened with the new settings.
+ * @param {Object} newOptions - Overrides of the current options.
+ */
+function configure(newOptions) {
+	const merged = { ...options, ...newOptions };
+	if (!levels[merged.level]) {
+		throw new Error(
+			`Unknown log level "${
+				merged.level
+			}", expected one of: ${Object.keys(levels).join(", ")}`
+		);
+	}
+	if (merged.format !== "text" && merged.format !== "json") {
+		throw new Error(
+			`Unknown log format "${merged.format}", expected "text" or "json"`
+		);
+	}
+
+	close();
+	options = merged;
+}
+
+/**
+ * Format a log line for the log files.
+ * @param {string} level - The level name.
+ * @param {string} message - The message.
+ * @param {Object} fields - The structured fields.
+ * @returns {string} - The formatted line.
+ */
+function formatLine(level, message, fields) {
+	const time = new Date().toISOString();
+	if (options.format === "json") {
+		return JSON.stringify({ time, level, message, ...fields });
+	}
+
+	const pairs = Object.entries(fields)
+		.filter(([, value]) => value !== undefined)
+		.map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+	const suffix = pairs.length > 0 ? ` ${pairs.join(" ")}` : "";
+	return `[${time}] [${level.toUpperCase()}] ${message}${suffix}`;
+}
+
+/**
+ * Write a log entry to the terminal and the log files.
+ * @param {string} level - The level name.
+ * @param {string} message - The message.
+ * @param {Object} [fields] - Structured fields, ie sourceId, mangaId, chapterId, durationMs.
+ */
+function log(level, message, fields = {}) {
+	if (levels[level] < levels[options.level]) return;
+
+	const terminalLevel = options.quiet ? levels.warn : levels[options.level];
+	if (levels[level] >= terminalLevel) {
+		if (levels[level] >= levels.warn) terminal.error(message);
+		else terminal.log(message);
+	}
+
+	if (!debugFile) {
+		debugFile = new RotatingFile(
+			path.join(options.dir, "debug.log"),
+			options
+		);
+		errorFile = new RotatingFile(
+			path.join(options.dir, "error.log"),
+			options
+		);
+	}
+	const line = formatLine(level, message, fields);
+	debugFile.write(line);
+	if (levels[level] >= levels.warn) errorFile.write(line);
+}
+
+/**
+ * Format console style arguments into a single message, like console.log does.
+ * @param {Array} args - The arguments.
+ * @returns {string} - The message.
+ */
+function formatArgs(args) {
+	return args
+		.map((arg) =>
+			typeof arg === "string"
+				? arg
+				: util.inspect(arg, { depth: 4, breakLength: Infinity })
+		)
+		.join(" ");
+}
+
+/**
+ * Close the log files.
+ */
+function close() {
+	debugFile?.close();
+	errorFile?.close();
+	debugFile = null;
+	errorFile = null;
+}
+
+module.exports = {
+	configure,
+	close,
+	formatArgs,
+	debug: (message, fields) => log("debug", message, fields),
+	info: (message, fields) => log("info", message, fields),
+	warn: (message, fields) => log("warn", message, fields),
+	error: (message, fields) => log("error", message, fields),
+};
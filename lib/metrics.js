@@ -0,0 +1,207 @@
+// Metrics in the Prometheus text format, served by the status server.
+// Each module defines the metrics it measures, they all end up in this registry.
+const registry = [];
+
+// Upper bounds, in seconds, of the buckets of request duration histograms
+const defaultBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Escape a label value for the text format.
+ * @param {string} value - The label value.
+ * @returns {string} - The escaped value.
+ */
+function escapeLabelValue(value) {
+	return String(value)
+		.replace(/\\/g, "\\\\")
+		.replace(/"/g, '\\"')
+		.replace(/\n/g, "\\n");
+}
+
+/**
+ * Format labels for the text format.
+ * @param {Object} labels - The label names and values.
+ * @returns {string} - The labels between braces, or an empty string without labels.
+ */
+function formatLabels(labels) {
+	const pairs = Object.entries(labels).map(
+		([name, value]) => `${name}="${escapeLabelValue(value)}"`
+	);
+	return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * A metric with a value per combination of labels.
+ */
+class Metric {
+	/**
+	 * @param {string} type - The Prometheus type: "counter", "gauge" or "histogram".
+	 * @param {string} name - The metric name.
+	 * @param {string} help - The description of the metric.
+	 */
+	constructor(type, name, help) {
+		this.type = type;
+		this.name = name;
+		this.help = help;
+		this.series = new Map(); // Keyed by the formatted labels
+		registry.push(this);
+	}
+
+	/**
+	 * Get the series of a combination of labels, creating it if needed.
+	 * @param {Object} labels - The label names and values.
+	 * @param {Function} create - Returns the initial value of a new series.
+	 * @returns {Object} - The series, as { labels, value }.
+	 */
+	getSeries(labels, create) {
+		const key = formatLabels(labels);
+		if (!this.series.has(key)) {
+			this.series.set(key, { labels, value: create() });
+		}
+		return this.series.get(key);
+	}
+
+	/**
+	 * Render the samples of the metric.
+	 * @returns {string[]} - The sample lines.
+	 */
+	samples() {
+		return [...this.series.values()].map(
+			({ labels, value }) =>
+				`${this.name}${formatLabels(labels)} ${value}`
+		);
+	}
+
+	/**
+	 * Render the metric with its HELP and TYPE lines.
+	 * @returns {string} - The metric in the text format.
+	 */
+	render() {
+		return [
+			`# HELP ${this.name} ${this.help}`,
+			`# TYPE ${this.name} ${this.type}`,
+			...this.samples(),
+		].join("\n");
+	}
+}
+
+/**
+ * A value that only goes up, ie chapters processed.
+ */
+class Counter extends Metric {
+	/**
+	 * @param {string} name - The metric name, ending in _total.
+	 * @param {string} help - The description of the metric.
+	 */
+	constructor(name, help) {
+		super("counter", name, help);
+	}
+
+	/**
+	 * Increase the counter.
+	 * @param {Object} [labels] - The label names and values.
+	 * @param {number} [amount] - The increase (default: 1).
+	 */
+	inc(labels = {}, amount = 1) {
+		this.getSeries(labels, () => 0).value += amount;
+	}
+}
+
+/**
+ * A value that goes up and down, ie the requests waiting for a host.
+ */
+class Gauge extends Metric {
+	/**
+	 * @param {string} name - The metric name.
+	 * @param {string} help - The description of the metric.
+	 * @param {Function} [collect] - Called with the gauge before rendering, to set its current values.
+	 */
+	constructor(name, help, collect) {
+		super("gauge", name, help);
+		this.collect = collect;
+	}
+
+	/**
+	 * Set the value of the gauge.
+	 * @param {Object} labels - The label names and values.
+	 * @param {number} value - The value.
+	 */
+	set(labels, value) {
+		this.getSeries(labels, () => 0).value = value;
+	}
+
+	samples() {
+		this.collect?.(this);
+		return super.samples();
+	}
+}
+
+/**
+ * The distribution of observed values, ie request durations in seconds.
+ */
+class Histogram extends Metric {
+	/**
+	 * @param {string} name - The metric name.
+	 * @param {string} help - The description of the metric.
+	 * @param {number[]} [buckets] - The upper bounds of the buckets, in increasing order.
+	 */
+	constructor(name, help, buckets = defaultBuckets) {
+		super("histogram", name, help);
+		this.buckets = buckets;
+	}
+
+	/**
+	 * Record a value.
+	 * @param {Object} labels - The label names and values.
+	 * @param {number} value - The observed value.
+	 */
+	observe(labels, value) {
+		const { value: data } = this.getSeries(labels, () => ({
+			counts: this.buckets.map(() => 0),
+			sum: 0,
+			count: 0,
+		}));
+		this.buckets.forEach((bound, i) => {
+			if (value <= bound) data.counts[i]++;
+		});
+		data.sum += value;
+		data.count++;
+	}
+
+	samples() {
+		const lines = [];
+		for (const { labels, value: data } of this.series.values()) {
+			this.buckets.forEach((bound, i) => {
+				lines.push(
+					`${this.name}_bucket${formatLabels({
+						...labels,
+						le: bound,
+					})} ${data.counts[i]}`
+				);
+			});
+			lines.push(
+				`${this.name}_bucket${formatLabels({
+					...labels,
+					le: "+Inf",
+				})} ${data.count}`,
+				`${this.name}_sum${formatLabels(labels)} ${data.sum}`,
+				`${this.name}_count${formatLabels(labels)} ${data.count}`
+			);
+		}
+		return lines;
+	}
+}
+
+/**
+ * Render every metric in the Prometheus text format.
+ * @returns {string} - The metrics, for a /metrics endpoint.
+ */
+function renderMetrics() {
+	return registry.map((metric) => metric.render()).join("\n") + "\n";
+}
+
+module.exports = {
+	Counter,
+	Gauge,
+	Histogram,
+	renderMetrics,
+};
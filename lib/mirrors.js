@@ -0,0 +1,220 @@
+const logger = require("./logger");
+const request = require("./request");
+const { aliasHost } = require("./limiter");
+
+// Error kinds after which the next mirror is tried; client and parse errors are the same everywhere
+const failoverKinds = ["network", "server", "rate-limit"];
+
+// Mirrors of each source, keyed by sourceId
+const mirrorSets = new Map();
+
+/**
+ * Get the hostname of a URL without its "www." prefix, to compare domains.
+ * @param {string} url - The URL.
+ * @returns {string} - The hostname.
+ */
+function domainOf(url) {
+	return new URL(url).hostname.replace(/^www\./, "");
+}
+
+/**
+ * Get the origin (scheme and host) of a URL.
+ * @param {string} url - The URL.
+ * @returns {string} - The origin, ie "https://manganato.com".
+ */
+function originOf(url) {
+	return new URL(url).origin;
+}
+
+/**
+ * The domains a source can be reached on. Requests go to the active mirror and move on to
+ * the next one when it fails or redirects to an unknown domain. URLs stored in the cache
+ * (ie Manganato chapter ids) always use the canonical domain, whichever mirror or former
+ * domain of the source they are on.
+ */
+class MirrorSet {
+	/**
+	 * @param {string} sourceId - The sanitized sourceId.
+	 * @param {string} canonical - The origin used in ids and cache keys.
+	 * @param {string[]} mirrors - The origins to try, in order of preference.
+	 * @param {string[]} [formerOrigins] - Origins the source used to be on, never requested but
+	 *   still found in archives and on its pages.
+	 */
+	constructor(sourceId, canonical, mirrors, formerOrigins = []) {
+		this.sourceId = sourceId;
+		this.canonical = originOf(canonical);
+		// Every domain the source was seen on, kept when the mirrors are replaced
+		this.knownDomains = new Set(
+			[this.canonical, ...formerOrigins].map(domainOf)
+		);
+		this.setMirrors(mirrors);
+	}
+
+	/**
+	 * Replace the mirror list. Every mirror shares the rate limits of the canonical domain.
+	 * @param {string[]} mirrors - The origins to try, in order of preference.
+	 */
+	setMirrors(mirrors) {
+		if (mirrors.length === 0) {
+			throw new Error(
+				`Source ${this.sourceId} needs at least one mirror`
+			);
+		}
+		this.mirrors = mirrors.map(originOf);
+		this.active = 0;
+		for (const mirror of this.mirrors)
+			this.knownDomains.add(domainOf(mirror));
+
+		const canonicalHost = new URL(this.canonical).hostname;
+		for (const mirror of this.mirrors) {
+			aliasHost(new URL(mirror).hostname, canonicalHost);
+		}
+	}
+
+	/**
+	 * Check whether a URL is on one of the domains requests go to.
+	 * @param {string} url - The URL.
+	 * @returns {boolean} - Whether it is on the canonical domain or a current mirror.
+	 */
+	isMirror(url) {
+		const domain = domainOf(url);
+		return [this.canonical, ...this.mirrors].some(
+			(origin) => domainOf(origin) === domain
+		);
+	}
+
+	/**
+	 * Check whether a URL is on any domain of the source, current or former.
+	 * @param {string} url - The URL.
+	 * @returns {boolean} - Whether it belongs to the source.
+	 */
+	isKnown(url) {
+		return this.knownDomains.has(domainOf(url));
+	}
+
+	/**
+	 * Move a URL of the source to another of its domains. Other URLs are returned as is.
+	 * @param {string} url - An absolute URL, or a path.
+	 * @param {string} origin - The origin to move it to.
+	 * @returns {string} - The URL on that origin.
+	 */
+	rewrite(url, origin) {
+		if (url.startsWith("/")) return `${origin}${url}`;
+		if (!this.isKnown(url)) return url;
+		const { pathname, search, hash } = new URL(url);
+		return `${origin}${pathname}${search}${hash}`;
+	}
+
+	/**
+	 * Move a URL of the source to the canonical domain, for ids stored in the cache.
+	 * @param {string} url - An absolute URL, or a path.
+	 * @returns {string} - The URL on the canonical domain.
+	 */
+	toCanonical(url) {
+		return this.rewrite(url, this.canonical);
+	}
+
+	/**
+	 * Run a request against the active mirror, failing over to the next mirrors in turn.
+	 * The mirror that answers becomes the active one for the following requests.
+	 * @param {Function} fn - Performs the request given the origin of a mirror.
+	 * @returns {Promise<*>} - The result of the first mirror that answered.
+	 * @throws {RequestError} - The error of the last mirror if none answered, or the first
+	 *   error that another mirror wouldn't fix (ie a 404).
+	 */
+	async fetch(fn) {
+		let lastError;
+		for (let i = 0; i < this.mirrors.length; i++) {
+			const index = (this.active + i) % this.mirrors.length;
+			const mirror = this.mirrors[index];
+			try {
+				const result = await fn(mirror);
+				if (index !== this.active) {
+					logger.warn(
+						`Switching ${this.sourceId} from ${
+							this.mirrors[this.active]
+						} to the mirror ${mirror}`,
+						{ sourceId: this.sourceId, mirror }
+					);
+					this.active = index;
+				}
+				return result;
+			} catch (err) {
+				const error = request.classifyError(err);
+				if (!failoverKinds.includes(error.kind)) throw error;
+				lastError = error;
+				logger.debug(
+					`Mirror ${mirror} of ${this.sourceId} failed: ${error.message}`,
+					{ sourceId: this.sourceId, mirror, errorKind: error.kind }
+				);
+			}
+		}
+		throw lastError;
+	}
+
+	/**
+	 * GET a URL of the source through its mirrors, with the mirror as Referer.
+	 * A redirect to a domain that isn't a mirror (ie a parked domain) counts as a failure.
+	 * @param {string} url - An absolute URL on any domain of the source, or a path.
+	 * @param {Object} [config] - The axios request config.
+	 * @returns {Promise<Object>} - The axios response.
+	 */
+	get(url, config = {}) {
+		return this.fetch(async (mirror) => {
+			const mirrorUrl = this.rewrite(url, mirror);
+			const response = await request.get(mirrorUrl, {
+				...config,
+				headers: { Referer: mirror, ...config.headers },
+			});
+
+			const finalUrl = response.request?.res?.responseUrl;
+			if (finalUrl && !this.isMirror(finalUrl)) {
+				throw new request.RequestError(
+					`${mirror} redirected to ${originOf(finalUrl)}`,
+					{ kind: "server", retryable: false, url: mirrorUrl }
+				);
+			}
+			return response;
+		});
+	}
+}
+
+/**
+ * Declare the domains of a source. Called by source adapters when they are loaded.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {string} canonical - The origin used in ids and cache keys.
+ * @param {string[]} mirrors - The default origins to try, in order of preference.
+ * @param {string[]} [formerOrigins] - Origins the source used to be on, see MirrorSet.
+ * @returns {MirrorSet} - The mirrors of the source.
+ */
+function defineMirrors(sourceId, canonical, mirrors, formerOrigins) {
+	const mirrorSet = new MirrorSet(
+		sourceId,
+		canonical,
+		mirrors,
+		formerOrigins
+	);
+	mirrorSets.set(sourceId, mirrorSet);
+	return mirrorSet;
+}
+
+/**
+ * Replace the mirrors of a source, ie from the command line.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {string[]} mirrors - The origins to try, in order of preference.
+ */
+function configureMirrors(sourceId, mirrors) {
+	const mirrorSet = mirrorSets.get(sourceId);
+	if (!mirrorSet) {
+		const known = [...mirrorSets.keys()].join(", ");
+		throw new Error(
+			`Source ${sourceId} has no mirrors. Sources with mirrors are: ${known}`
+		);
+	}
+	mirrorSet.setMirrors(mirrors);
+}
+
+module.exports = {
+	defineMirrors,
+	configureMirrors,
+};
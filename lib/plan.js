@@ -0,0 +1,111 @@
+/**
+ * Build the plan of a dry run from the manga results of processEntries.
+ * @param {Object[]} results - The manga results of a dry run.
+ * @param {Object} details - Details about the run.
+ * @param {string|null} details.archive - The path to the archive the entries came from.
+ * @param {boolean} details.scraped - Whether the chapter lists were fetched from the sources.
+ * @returns {Object} - The plan, ready to be serialized to JSON.
+ */
+function buildPlan(results, { archive, scraped }) {
+	const sources = {};
+	const totals = {
+		manga: 0,
+		chapters: 0,
+		cached: 0,
+		deselected: 0,
+		leftOut: 0,
+		toSubmit: 0,
+	};
+
+	const manga = results.map((result) => {
+		if (!sources[result.sourceId]) {
+			// Every entry of a source shares its status, except for failed chapter lists and
+			// manga left out by the selection
+			const supported = ["processed", "failed", "excluded"].includes(
+				result.status
+			);
+			sources[result.sourceId] = {
+				status: supported ? "supported" : result.status,
+				manga: 0,
+			};
+		}
+		sources[result.sourceId].manga++;
+
+		totals.manga++;
+		totals.chapters += result.chapters ?? 0;
+		totals.cached += result.skipped;
+		totals.deselected += result.deselected;
+		totals.leftOut += result.leftOut;
+		totals.toSubmit += result.planned.length;
+
+		return {
+			sourceId: result.sourceId,
+			mangaId: result.mangaId,
+			status: result.status,
+			error: result.error,
+			chapters: result.chapters,
+			cached: result.skipped,
+			deselected: result.deselected,
+			leftOut: result.leftOut,
+			toSubmit: result.planned.length,
+			chapterIds: result.planned,
+		};
+	});
+
+	return {
+		generatedAt: new Date().toISOString(),
+		archive,
+		scraped,
+		sources,
+		manga,
+		totals,
+	};
+}
+
+/**
+ * Format a plan as human readable text.
+ * @param {Object} plan - The plan from buildPlan.
+ * @returns {string} - The plan as text.
+ */
+function formatPlan(plan) {
+	const lines = [];
+	lines.push(`Plan for ${plan.archive ?? "the cache"}`);
+	if (!plan.scraped) {
+		lines.push(
+			"Chapter lists were not scraped, only chapters known to the cache are counted."
+		);
+	}
+
+	lines.push("", "Sources:");
+	for (const [sourceId, source] of Object.entries(plan.sources)) {
+		lines.push(`  ${sourceId}: ${source.manga} manga, ${source.status}`);
+	}
+
+	lines.push("", "Manga:");
+	for (const manga of plan.manga) {
+		const name = `  ${manga.sourceId}/${manga.mangaId}`;
+		if (manga.status === "failed") {
+			lines.push(`${name}: failed to list chapters (${manga.error})`);
+		} else if (manga.status !== "processed") {
+			lines.push(`${name}: ${manga.status}`);
+		} else {
+			const chapters =
+				manga.chapters === null ? "" : `${manga.chapters} chapters, `;
+			lines.push(
+				`${name}: ${chapters}${manga.cached} in cache, ${manga.deselected} not selected, ${manga.leftOut} left out, ${manga.toSubmit} to submit`
+			);
+		}
+	}
+
+	const { totals } = plan;
+	lines.push(
+		"",
+		`Total: ${totals.manga} manga, ${totals.chapters} chapters, ${totals.cached} in cache, ${totals.deselected} not selected, ${totals.leftOut} left out, ${totals.toSubmit} to submit`
+	);
+	return lines.join("\n");
+}
+
+module.exports = {
+	buildPlan,
+	formatPlan,
+};
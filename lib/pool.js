@@ -0,0 +1,29 @@
+/**
+ * Run an async worker over every item, with at most `concurrency` items in flight.
+ * Items are started in order. A worker that throws rejects the pool.
+ * @param {Array} items - The items to process.
+ * @param {number} concurrency - The number of items processed at the same time.
+ * @param {Function} worker - The async function called with (item, index).
+ * @param {AbortSignal} [signal] - Stops starting new items once aborted, letting running ones finish.
+ * @returns {Promise<void>}
+ */
+async function runPool(items, concurrency, worker, signal) {
+	let next = 0;
+
+	async function runWorker() {
+		while (next < items.length && !signal?.aborted) {
+			const index = next++;
+			await worker(items[index], index);
+		}
+	}
+
+	const workers = [];
+	for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+		workers.push(runWorker());
+	}
+	await Promise.all(workers);
+}
+
+module.exports = {
+	runPool,
+};
@@ -0,0 +1,535 @@
+const sources = require("./sources"); // Source adapter registry
+const proxy = require("./proxy");
+const { classifyError } = require("./request");
+const {
+	saveCache,
+	getFailedChapters,
+	getCachedChapters,
+	getMangaChapters,
+	getChapter,
+	isChapterStale,
+	recordChapter,
+} = require("./cache");
+const logger = require("./logger");
+const { runPool } = require("./pool");
+const { prioritizeChapters } = require("./progress");
+const {
+	createSelection,
+	isMangaSelected,
+	getChapterRules,
+	selectChapters,
+} = require("./selection");
+const { listChapters } = require("./scrapes");
+const { sanitizeSourceId } = require("./utils");
+const { Counter } = require("./metrics");
+
+// How many manga and how many chapters of each manga are processed at the same time.
+// Requests are throttled per host by the limiter, so these only bound the work in flight.
+const defaultConcurrency = 3;
+const defaultChapterConcurrency = 2;
+
+const chaptersProcessed = new Counter(
+	"paperback_cacher_chapters_total",
+	"Chapters sent to the proxy or skipped, by source and status (cached, failed or skipped)"
+);
+
+/**
+ * Describe the classification of an error for logging.
+ * @param {RequestError} error - The classified error.
+ * @returns {string} - The kind, retryability and attempts of the error.
+ */
+function describeError(error) {
+	return `${error.kind}, ${error.retryable ? "retryable" : "permanent"}, ${
+		error.attempts
+	} attempt(s)`;
+}
+
+/**
+ * Create the result of processing one manga.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {Object} entry - The sourcemanga entry.
+ * @param {string} status - "processed", "ignored", "filtered", "excluded", "unsupported" or "failed".
+ * @returns {Object} - The manga result.
+ */
+function createMangaResult(sourceId, entry, status) {
+	return {
+		sourceId,
+		mangaId: entry.mangaId,
+		status,
+		error: null,
+		chapters: null, // Chapters found on the source, null when not scraped
+		deselected: 0, // Chapters left out by the selection rules
+		leftOut: 0, // Chapters left out because of reading progress
+		skipped: 0, // Chapters already in the cache
+		planned: [], // Chapter ids that would be sent to the proxy in a dry run
+		cached: 0, // Chapters newly cached
+		failed: 0, // Chapters that failed
+		proxyFailed: 0, // Chapters not sent because the proxy failed, left out of the cache
+		imagesFailed: 0, // Images the proxy failed to cache
+		elapsedMs: 0,
+	};
+}
+
+/**
+ * Send a chapter to the proxy, holding it while the circuit breaker is open and sending it
+ * again once the proxy answers.
+ * @param {Object} adapter - The source adapter of the chapter.
+ * @param {string} chapterId - The chapter id.
+ * @param {Object} state - The shared processing state.
+ * @returns {Promise<ChapterResult|null>} - The result, or null if the run stopped first.
+ * @throws {RequestError} - Errors of the source, and proxy errors the breaker doesn't hold the chapter for.
+ */
+async function sendChapter(adapter, chapterId, state) {
+	const { breaker, signal } = state;
+	for (;;) {
+		await breaker?.wait(signal);
+		if (signal?.aborted) return null;
+
+		try {
+			const chapterResult = await proxy.cacheChapter(
+				state.server,
+				adapter,
+				chapterId,
+				state.context
+			);
+			breaker?.recordSuccess();
+			return chapterResult;
+		} catch (err) {
+			const error = classifyError(err);
+			if (!error.proxy || !breaker) throw error;
+
+			breaker.recordFailure(error);
+			if (!breaker.isOpen || breaker.stopping) throw error;
+		}
+	}
+}
+
+/**
+ * Send one chapter to the proxy and store the result in the cache.
+ * @param {Object} job - The manga being processed.
+ * @param {Object} job.entry - The sourcemanga entry the chapter belongs to.
+ * @param {string} job.sourceId - The sanitized sourceId.
+ * @param {Object} job.adapter - The source adapter.
+ * @param {string} job.position - The "(index/total)" prefix for log messages.
+ * @param {Object} job.result - The manga result to update.
+ * @param {string} chapterId - The chapter id.
+ * @param {Object} state - The shared processing state.
+ */
+async function processChapter(job, chapterId, state) {
+	const { cache, cacheFilePath, dryRun, context, emit } = state;
+	const { entry, sourceId, adapter, position, result } = job;
+	const fields = { sourceId, mangaId: entry.mangaId, chapterId };
+
+	// Check if chapterId exists in the cache (in any state when only new chapters are wanted).
+	// Expired chapters are sent again, and so is every chapter when verifying.
+	const record = getChapter(cache, sourceId, entry.mangaId, chapterId);
+	const stale =
+		record?.status === "cached" && isChapterStale(record, state.maxAge);
+	const attempted =
+		!state.verify &&
+		!stale &&
+		(state.onlyNew ? record !== null : record?.status === "cached");
+	if (attempted) {
+		if (!dryRun) {
+			logger.debug(
+				`${position} Skipping already processed chapter ${chapterId} for mangaId ${entry.mangaId} from sourceId ${sourceId}`,
+				fields
+			);
+			chaptersProcessed.inc({ source: sourceId, status: "skipped" });
+		}
+		result.skipped++;
+		return; // Skip processing this chapter
+	}
+
+	if (dryRun) {
+		result.planned.push(chapterId);
+		return;
+	}
+
+	const startedAt = Date.now();
+	try {
+		logger.info(
+			`${position} Processing chapter ${chapterId} for mangaId ${entry.mangaId} from sourceId ${sourceId}`,
+			fields
+		);
+
+		const chapterResult = await sendChapter(adapter, chapterId, state);
+		if (!chapterResult) return; // The run stopped while waiting for the proxy
+
+		const durationMs = Date.now() - startedAt;
+		if (chapterResult.success) {
+			logger.info(
+				`Chapter ${chapterId} is successfully downloaded for mangaId ${entry.mangaId} from sourceId ${sourceId}`,
+				{ ...fields, durationMs }
+			);
+			result.cached++;
+		} else {
+			result.failed++;
+		}
+		result.imagesFailed += chapterResult.failedImages.length;
+		recordChapter(cache, sourceId, entry.mangaId, chapterId, chapterResult);
+		chaptersProcessed.inc({
+			source: sourceId,
+			status: chapterResult.success ? "cached" : "failed",
+		});
+		emit(chapterResult.success ? "chapterCached" : "chapterFailed", {
+			...fields,
+			pageCount: chapterResult.pageCount,
+			failedImages: chapterResult.failedImages,
+			error: null,
+			durationMs,
+		});
+	} catch (err) {
+		const error = classifyError(err);
+		if (error.proxy) {
+			// Not the chapter's fault: it isn't stored as failed, and is sent again next run
+			logger.error(
+				`Proxy error for chapter ${chapterId} of mangaId ${
+					entry.mangaId
+				} from sourceId ${sourceId} (${describeError(error)}): ${
+					error.message
+				}`,
+				{
+					...fields,
+					durationMs: Date.now() - startedAt,
+					errorKind: error.kind,
+					attempts: error.attempts,
+				}
+			);
+			result.proxyFailed++;
+			chaptersProcessed.inc({ source: sourceId, status: "proxy-failed" });
+			emit("chapterFailed", {
+				...fields,
+				pageCount: null,
+				failedImages: [],
+				error,
+				durationMs: Date.now() - startedAt,
+			});
+			return;
+		}
+
+		logger.error(
+			`Error processing chapter ${chapterId} for mangaId ${
+				entry.mangaId
+			} from sourceId ${sourceId} (${describeError(error)}): ${
+				error.message
+			}`,
+			{
+				...fields,
+				durationMs: Date.now() - startedAt,
+				errorKind: error.kind,
+				retryable: error.retryable,
+				attempts: error.attempts,
+			}
+		);
+
+		recordChapter(cache, sourceId, entry.mangaId, chapterId, {
+			success: false,
+			error,
+		});
+		result.failed++;
+		chaptersProcessed.inc({ source: sourceId, status: "failed" });
+		emit("chapterFailed", {
+			...fields,
+			pageCount: null,
+			failedImages: [],
+			error,
+			durationMs: Date.now() - startedAt,
+		});
+	}
+
+	// Save the cache to the file
+	saveCache(cacheFilePath, cache);
+}
+
+/**
+ * Fetch the chapters of one entry and process them, unread chapters first.
+ * @param {Object} entry - The sourcemanga entry.
+ * @param {string} entryKey - The property name of the entry in the sourcemanga JSON.
+ * @param {string} position - The "(index/total)" prefix for log messages.
+ * @param {Object} state - The shared processing state.
+ * @returns {Promise<Object|null>} - The manga result, or null for entries without a source.
+ */
+async function processEntry(entry, entryKey, position, state) {
+	if (!entry) return null; // Skip if entry is undefined or null
+
+	// Sanitize sourceId
+	let sourceId = entry.sourceId;
+	if (!sourceId) return null; // Skip if sourceId is missing
+	sourceId = sanitizeSourceId(sourceId);
+
+	// Skip entries from sources that are known not to need caching
+	if (sources.isIgnoredSource(sourceId)) {
+		return createMangaResult(sourceId, entry, "ignored");
+	}
+
+	// Skip entries from sources that were not asked for
+	if (state.sources && !state.sources.includes(sourceId)) {
+		return createMangaResult(sourceId, entry, "filtered");
+	}
+
+	// Skip manga left out by the include and exclude lists
+	if (!isMangaSelected(state.selection, entry)) {
+		return createMangaResult(sourceId, entry, "excluded");
+	}
+
+	const adapter = sources.getSource(sourceId);
+	if (!adapter) {
+		logger.info(
+			`${position} Skipping mangaId ${entry.mangaId} from unsupported sourceId ${sourceId}`,
+			{ sourceId, mangaId: entry.mangaId }
+		);
+		return createMangaResult(sourceId, entry, "unsupported");
+	}
+
+	// Cache keys stay the same when the source moves to another domain
+	const mangaId = sources.canonicalMangaId(sourceId, entry.mangaId);
+	if (mangaId !== entry.mangaId) entry = { ...entry, mangaId };
+
+	const { cache } = state;
+	const result = createMangaResult(sourceId, entry, "processed");
+	const startedAt = Date.now();
+	state.emit("mangaStarted", { sourceId, mangaId: entry.mangaId, position });
+
+	// Initialize cache structure for sourceId and mangaId if not present
+	const cachedChapters = getMangaChapters(cache, sourceId, entry.mangaId);
+
+	// Now proceed to fetch chapters and process them
+	try {
+		let fetchedChapters;
+		if (state.onlyFailed) {
+			fetchedChapters = getFailedChapters(
+				cache,
+				sourceId,
+				entry.mangaId
+			).map((id) => ({ id, number: null }));
+		} else if (state.verify) {
+			fetchedChapters = getCachedChapters(
+				cache,
+				sourceId,
+				entry.mangaId,
+				state.maxAge
+			).map((id) => ({ id, number: null }));
+		} else if (!state.scrape) {
+			// Only what the cache knows about, for plans made without scraping
+			fetchedChapters = Object.keys(cachedChapters).map((id) => ({
+				id,
+				number: null,
+			}));
+		} else {
+			fetchedChapters = await listChapters(
+				adapter,
+				entry.mangaId,
+				state.context,
+				entry
+			);
+			result.chapters = fetchedChapters.length;
+			logger.info(
+				`${position} Found ${fetchedChapters.length} chapter(s) for mangaId ${entry.mangaId} from sourceId ${sourceId}`,
+				{
+					sourceId,
+					mangaId: entry.mangaId,
+					chapters: fetchedChapters.length,
+					durationMs: Date.now() - startedAt,
+				}
+			);
+		}
+
+		if (state.signal?.aborted) return result;
+
+		const readingProgress =
+			state.readingProgress[entry.id ?? entryKey] ?? null;
+
+		// Chapter rules only apply to the chapter lists of the sources, the chapters of the
+		// cache have no numbers
+		let selectedChapters = fetchedChapters;
+		if (result.chapters !== null) {
+			selectedChapters = selectChapters(
+				fetchedChapters,
+				getChapterRules(state.selection, entry),
+				readingProgress
+			);
+			result.deselected =
+				fetchedChapters.length - selectedChapters.length;
+			if (result.deselected > 0 && !state.dryRun) {
+				logger.info(
+					`${position} Leaving out ${result.deselected} chapter(s) of mangaId ${entry.mangaId} from sourceId ${sourceId} based on the selection rules`,
+					{
+						sourceId,
+						mangaId: entry.mangaId,
+						deselected: result.deselected,
+					}
+				);
+			}
+		}
+
+		const chapters = prioritizeChapters(
+			selectedChapters,
+			readingProgress,
+			state.prioritization
+		);
+		result.leftOut = selectedChapters.length - chapters.length;
+		if (result.leftOut > 0 && !state.dryRun) {
+			logger.info(
+				`${position} Leaving out ${result.leftOut} chapter(s) of mangaId ${entry.mangaId} from sourceId ${sourceId} based on reading progress`,
+				{ sourceId, mangaId: entry.mangaId, leftOut: result.leftOut }
+			);
+		}
+
+		const job = { entry, sourceId, adapter, position, result };
+		await runPool(
+			chapters,
+			state.chapterConcurrency,
+			(chapter) => processChapter(job, chapter.id, state),
+			state.signal
+		);
+	} catch (err) {
+		const error = classifyError(err);
+		logger.error(
+			`Error processing mangaId ${
+				entry.mangaId
+			} from sourceId ${sourceId} (${describeError(error)}): ${
+				error.message
+			}`,
+			{
+				sourceId,
+				mangaId: entry.mangaId,
+				durationMs: Date.now() - startedAt,
+				errorKind: error.kind,
+				retryable: error.retryable,
+				attempts: error.attempts,
+			}
+		);
+		result.status = "failed";
+		result.error = error.message;
+		return result; // Skip to the next entry if there's an error
+	} finally {
+		result.elapsedMs = Date.now() - startedAt;
+	}
+
+	// Save the cache to the file
+	if (!state.dryRun) saveCache(state.cacheFilePath, cache);
+	return result;
+}
+
+/**
+ * Process each entry in the JSON with a pool of workers, rate limited per host, and caching.
+ * @param {Object} entriesObj - The JSON object containing entries to process.
+ * @param {Object} options - The processing options.
+ * @param {Object} options.cache - The cache object to use and update.
+ * @param {string} options.cacheFilePath - The path to the cache file.
+ * @param {ProxyServer} [options.server] - The proxy server to send chapters to, not needed for dry runs.
+ * @param {CircuitBreaker} [options.breaker] - Holds the chapters while the proxy is down.
+ * @param {BrowserPool} [options.browser] - The browser pool for the sources that need a browser.
+ * @param {ScrapeMemo} [options.scrapes] - Shares the chapter and page lists with the runs of other proxies.
+ * @param {string[]} [options.sources] - Only process entries from these sanitized sourceIds.
+ * @param {boolean} [options.onlyFailed] - Only retry the chapters stored as failed in the cache.
+ * @param {boolean} [options.onlyNew] - Skip chapters that are in the cache at all, failed ones included.
+ * @param {boolean} [options.verify] - Only send the chapters stored as cached again, to check the proxy still has them.
+ * @param {number} [options.maxAge] - Milliseconds after which cached chapters expire and are sent again.
+ * @param {boolean} [options.dryRun] - Work out what would be sent to the proxy without sending it.
+ * @param {boolean} [options.scrape] - Fetch chapter lists from the sources (default true). Dry runs only.
+ * @param {number} [options.concurrency] - How many manga are processed at the same time.
+ * @param {number} [options.chapterConcurrency] - How many chapters of a manga are processed at the same time.
+ * @param {AbortSignal} [options.signal] - Stops starting new manga and chapters once aborted.
+ * @param {Object} [options.readingProgress] - Reading progress keyed by sourcemanga id, from buildReadingProgress.
+ * @param {boolean} [options.skipRead] - Leave out chapters that were already read.
+ * @param {number} [options.nextUnread] - Only process the next N unread chapters of each manga.
+ * @param {Object} [options.selection] - The manga and chapters to process, see createSelection.
+ * @param {Function} [options.onEvent] - Called with the name and details of each progress event:
+ *   mangaStarted (manga being processed), mangaFinished (every entry with a sourceId, whatever
+ *   its status), chapterCached and chapterFailed.
+ * @returns {Promise<Object[]>} - The result of each manga, in archive order.
+ */
+async function processEntries(entriesObj, options) {
+	const dryRun = options.dryRun ?? false;
+	const state = {
+		cache: options.cache,
+		cacheFilePath: options.cacheFilePath,
+		server: options.server,
+		breaker: options.breaker ?? null,
+		emit: options.onEvent ?? (() => {}),
+		sources: options.sources ?? null,
+		onlyFailed: options.onlyFailed ?? false,
+		onlyNew: options.onlyNew ?? false,
+		verify: options.verify ?? false,
+		maxAge: options.maxAge,
+		signal: options.signal,
+		dryRun,
+		scrape: !dryRun || (options.scrape ?? true),
+		chapterConcurrency:
+			options.chapterConcurrency ?? defaultChapterConcurrency,
+		context: { browser: options.browser, scrapes: options.scrapes },
+		readingProgress: options.readingProgress ?? {},
+		prioritization: {
+			skipRead: options.skipRead ?? false,
+			nextUnread: options.nextUnread,
+		},
+		selection: createSelection(options.selection),
+	};
+
+	const entries = Object.entries(entriesObj);
+	const results = new Array(entries.length).fill(null);
+	await runPool(
+		entries,
+		options.concurrency ?? defaultConcurrency,
+		async ([entryKey, entry], i) => {
+			results[i] = await processEntry(
+				entry,
+				entryKey,
+				`(${i + 1}/${entries.length})`,
+				state
+			);
+			if (results[i]) state.emit("mangaFinished", results[i]);
+		},
+		options.signal
+	);
+	return results.filter(Boolean);
+}
+
+/**
+ * Build entries for the manga in the cache that have chapters matching a condition.
+ * @param {Object} cache - The cache object.
+ * @param {Function} getChapterIds - Returns the matching chapter ids of a sourceId and mangaId.
+ * @returns {Object} - Entries keyed like the sourcemanga JSON, each with a sourceId and mangaId.
+ */
+function entriesFromCache(cache, getChapterIds) {
+	const entries = {};
+	for (const [sourceId, mangas] of Object.entries(cache.sources)) {
+		for (const mangaId of Object.keys(mangas)) {
+			if (getChapterIds(sourceId, mangaId).length > 0) {
+				entries[`${sourceId}:${mangaId}`] = { sourceId, mangaId };
+			}
+		}
+	}
+	return entries;
+}
+
+/**
+ * Build entries for every manga in the cache that has failed chapters.
+ * @param {Object} cache - The cache object.
+ * @returns {Object} - Entries keyed like the sourcemanga JSON, each with a sourceId and mangaId.
+ */
+function failedEntriesFromCache(cache) {
+	return entriesFromCache(cache, (sourceId, mangaId) =>
+		getFailedChapters(cache, sourceId, mangaId)
+	);
+}
+
+/**
+ * Build entries for every manga in the cache that has cached chapters to verify.
+ * @param {Object} cache - The cache object.
+ * @param {number} [maxAge] - Only count chapters older than this many milliseconds.
+ * @returns {Object} - Entries keyed like the sourcemanga JSON, each with a sourceId and mangaId.
+ */
+function cachedEntriesFromCache(cache, maxAge) {
+	return entriesFromCache(cache, (sourceId, mangaId) =>
+		getCachedChapters(cache, sourceId, mangaId, maxAge)
+	);
+}
+
+module.exports = {
+	processEntries,
+	failedEntriesFromCache,
+	cachedEntriesFromCache,
+};
@@ -0,0 +1,183 @@
+const fs = require("fs");
+const path = require("path");
+const sources = require("./sources");
+const { sanitizeSourceId } = require("./utils");
+
+// File the profiles are read from when none is given
+const defaultProfilesFile = "profiles.json";
+
+// Keys a profile can have
+const profileKeys = ["site", "token", "tokenEnv", "sources", "cacheFile"];
+
+// Profile names end up in file names and limiter keys
+const profileNamePattern = /^[\w-]+$/;
+
+/**
+ * A proxy server to warm, with its own token, sources and cache.
+ * @typedef {Object} Profile
+ * @property {string} name - The name of the profile.
+ * @property {string} site - The URL of the proxy site.
+ * @property {string|undefined} token - The token from SITE/api/login, undefined when the
+ *   environment variable named by tokenEnv isn't set.
+ * @property {string[]|null} sources - Only process entries from these sanitized sourceIds.
+ * @property {string} cacheFile - The path to the cache file of the profile.
+ */
+
+/**
+ * Check profile definitions, ie of a profiles file.
+ * @param {Object} profiles - The profile definitions, keyed by name.
+ * @returns {string[]} - A message for each problem found.
+ */
+function profileProblems(profiles) {
+	const problems = [];
+	for (const [name, profile] of Object.entries(profiles)) {
+		const where = `profile "${name}"`;
+		if (!profileNamePattern.test(name)) {
+			problems.push(
+				`${where}: names can only have letters, digits, "_" and "-"`
+			);
+		}
+		if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+			problems.push(`${where}: must be an object`);
+			continue;
+		}
+
+		const unknown = Object.keys(profile).filter(
+			(key) => !profileKeys.includes(key)
+		);
+		if (unknown.length > 0) {
+			problems.push(
+				`${where}: unknown key(s) ${unknown.join(
+					", "
+				)}, expected ${profileKeys.join(", ")}`
+			);
+		}
+		if (typeof profile.site !== "string" || !URL.canParse(profile.site)) {
+			problems.push(`${where}: site must be the URL of the proxy`);
+		}
+		if (profile.token !== undefined && typeof profile.token !== "string") {
+			problems.push(`${where}: token must be a string`);
+		}
+		if (
+			profile.tokenEnv !== undefined &&
+			typeof profile.tokenEnv !== "string"
+		) {
+			problems.push(
+				`${where}: tokenEnv must be the name of an environment variable`
+			);
+		}
+		if (profile.token !== undefined && profile.tokenEnv !== undefined) {
+			problems.push(`${where}: has both token and tokenEnv`);
+		}
+		if (
+			profile.cacheFile !== undefined &&
+			typeof profile.cacheFile !== "string"
+		) {
+			problems.push(`${where}: cacheFile must be a path`);
+		}
+		if (profile.sources !== undefined) {
+			if (
+				!Array.isArray(profile.sources) ||
+				!profile.sources.every(
+					(sourceId) => typeof sourceId === "string"
+				)
+			) {
+				problems.push(`${where}: sources must be a list of sourceIds`);
+			} else {
+				const unsupported = profile.sources.filter(
+					(sourceId) => !sources.getSource(sanitizeSourceId(sourceId))
+				);
+				if (unsupported.length > 0) {
+					problems.push(
+						`${where}: unsupported source(s) ${unsupported.join(
+							", "
+						)}`
+					);
+				}
+			}
+		}
+	}
+
+	return problems;
+}
+
+/**
+ * Check the profile definitions of a profiles file.
+ * @param {*} profiles - The parsed content of the file.
+ * @param {string} filePath - The path to the file, for error messages.
+ * @throws {Error} - Listing every problem found.
+ */
+function validateProfiles(profiles, filePath) {
+	if (!profiles || typeof profiles !== "object" || Array.isArray(profiles)) {
+		throw new Error(
+			`${filePath} must hold an object of profiles keyed by name`
+		);
+	}
+
+	const problems = profileProblems(profiles);
+	if (problems.length > 0) {
+		throw new Error(
+			`Invalid profiles in ${filePath}:\n  ${problems.join("\n  ")}`
+		);
+	}
+}
+
+/**
+ * Read the profiles file.
+ * @param {string} [filePath] - The path to the file (default: ./profiles.json).
+ * @returns {Object} - The profile definitions, keyed by name.
+ * @throws {Error} - If the file is missing or invalid.
+ */
+function loadProfiles(filePath = defaultProfilesFile) {
+	const profilesFilePath = path.resolve(filePath);
+	if (!fs.existsSync(profilesFilePath)) {
+		throw new Error(`The profiles file ${profilesFilePath} doesn't exist`);
+	}
+
+	let profiles;
+	try {
+		profiles = JSON.parse(fs.readFileSync(profilesFilePath, "utf-8"));
+	} catch (error) {
+		throw new Error(
+			`The profiles file ${profilesFilePath} isn't valid JSON: ${error.message}`
+		);
+	}
+	validateProfiles(profiles, profilesFilePath);
+	return profiles;
+}
+
+/**
+ * Get a profile from the profile definitions, with its token and cache file resolved.
+ * @param {Object} profiles - The profile definitions, see loadProfiles.
+ * @param {string} name - The name of the profile.
+ * @returns {Profile} - The profile.
+ * @throws {Error} - If there is no such profile.
+ */
+function resolveProfile(profiles, name) {
+	const profile = Object.hasOwn(profiles, name) ? profiles[name] : null;
+	if (!profile) {
+		const names = Object.keys(profiles);
+		throw new Error(
+			`Unknown profile "${name}"${
+				names.length > 0
+					? `, the profiles are: ${names.join(", ")}`
+					: ""
+			}`
+		);
+	}
+
+	return {
+		name,
+		site: profile.site.replace(/\/+$/, ""),
+		// Keeps the token itself out of the profiles file
+		token: profile.tokenEnv ? process.env[profile.tokenEnv] : profile.token,
+		sources: profile.sources?.map(sanitizeSourceId) ?? null,
+		cacheFile: path.resolve(profile.cacheFile ?? `cache-${name}.json`),
+	};
+}
+
+module.exports = {
+	profileProblems,
+	loadProfiles,
+	resolveProfile,
+};
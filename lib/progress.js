@@ -0,0 +1,114 @@
+/**
+ * Index the values of a Paperback backup object by their id.
+ * @param {Object} records - The backup object, with records as properties.
+ * @returns {Map<string, Object>} - The records keyed by their id (or property name when they have none).
+ */
+function indexById(records) {
+	const index = new Map();
+	for (const [key, record] of Object.entries(records ?? {})) {
+		if (record) index.set(record.id ?? key, record);
+	}
+	return index;
+}
+
+/**
+ * Build the reading progress of every sourcemanga entry from the archive's chapters and progress markers.
+ * @param {Object} chapters - The "chapter" JSON object of the archive.
+ * @param {Object} chapterProgressMarkers - The "chapterprogressmarker" JSON object of the archive.
+ * @returns {Object} - Keyed by sourcemanga id, each with:
+ * - lastReadNumber {number|null}: The highest chapter number marked as read.
+ * - readChapterIds {Set<string>}: The source chapter ids marked as read.
+ * - chapterNumbers {Map<string, number>}: The chapter numbers the archive knows, by source chapter id.
+ */
+function buildReadingProgress(chapters, chapterProgressMarkers) {
+	const progress = {};
+	const getProgress = (sourceMangaId) => {
+		if (!progress[sourceMangaId]) {
+			progress[sourceMangaId] = {
+				lastReadNumber: null,
+				readChapterIds: new Set(),
+				chapterNumbers: new Map(),
+			};
+		}
+		return progress[sourceMangaId];
+	};
+
+	const chaptersById = indexById(chapters);
+	for (const chapter of chaptersById.values()) {
+		const sourceMangaId = chapter.sourceManga?.id;
+		if (!sourceMangaId || !chapter.chapterId) continue;
+		if (typeof chapter.chapNum === "number") {
+			getProgress(sourceMangaId).chapterNumbers.set(
+				chapter.chapterId,
+				chapter.chapNum
+			);
+		}
+	}
+
+	for (const marker of indexById(chapterProgressMarkers).values()) {
+		if (!marker.completed) continue;
+
+		const chapter = chaptersById.get(marker.chapter?.id);
+		const sourceMangaId = chapter?.sourceManga?.id;
+		if (!sourceMangaId || !chapter.chapterId) continue;
+
+		const mangaProgress = getProgress(sourceMangaId);
+		mangaProgress.readChapterIds.add(chapter.chapterId);
+		if (
+			typeof chapter.chapNum === "number" &&
+			(mangaProgress.lastReadNumber === null ||
+				chapter.chapNum > mangaProgress.lastReadNumber)
+		) {
+			mangaProgress.lastReadNumber = chapter.chapNum;
+		}
+	}
+
+	return progress;
+}
+
+/**
+ * Order the chapters of a manga so the ones after the last-read position come first.
+ * Unread chapters are sorted by chapter number (unnumbered ones last), read chapters follow in source order.
+ * @param {Object[]} chapters - The chapters from the source adapter, each with an id and a number.
+ * @param {Object} [progress] - The reading progress of the manga from buildReadingProgress.
+ * @param {Object} [options] - The prioritization options.
+ * @param {boolean} [options.skipRead] - Leave out chapters that were already read.
+ * @param {number} [options.nextUnread] - Only keep the next N unread chapters (read ones are left out too).
+ * @returns {Object[]} - The chapters to process, in order.
+ */
+function prioritizeChapters(chapters, progress, options = {}) {
+	const lastReadNumber = progress?.lastReadNumber ?? null;
+	const readChapterIds = progress?.readChapterIds ?? new Set();
+
+	const numbered = chapters.map((chapter) => ({
+		...chapter,
+		number:
+			chapter.number ?? progress?.chapterNumbers.get(chapter.id) ?? null,
+	}));
+
+	const isRead = (chapter) =>
+		readChapterIds.has(chapter.id) ||
+		(chapter.number !== null &&
+			lastReadNumber !== null &&
+			chapter.number <= lastReadNumber);
+
+	let unread = numbered.filter((chapter) => !isRead(chapter));
+	const read = numbered.filter(isRead);
+
+	// Array.prototype.sort is stable, so unnumbered chapters keep the source order
+	unread.sort((a, b) => {
+		if (a.number === null) return b.number === null ? 0 : 1;
+		if (b.number === null) return -1;
+		return a.number - b.number;
+	});
+
+	if (options.nextUnread) {
+		return unread.slice(0, options.nextUnread);
+	}
+	return options.skipRead ? unread : [...unread, ...read];
+}
+
+module.exports = {
+	buildReadingProgress,
+	prioritizeChapters,
+};
@@ -0,0 +1,274 @@
+const logger = require("./logger");
+const request = require("./request");
+const { getPageUrls } = require("./scrapes");
+
+// Longest /generic request URL, so that a chunk of images stays under the limits of servers
+let maxRequestUrlLength = 4000;
+
+/**
+ * The proxy server chapters are sent to.
+ * @typedef {Object} ProxyServer
+ * @property {string} site - The URL of the proxy site.
+ * @property {string} token - The token from SITE/api/login.
+ */
+
+/**
+ * Build the headers for requests to the proxy server.
+ * @param {ProxyServer} server - The proxy server.
+ * @returns {Object} - The request headers.
+ */
+function proxyHeaders(server) {
+	return {
+		Referer: server.site, // Referer being the website itself
+		Authorization: `Bearer ${server.token}`,
+	};
+}
+
+/**
+ * GET a URL of the proxy server. Errors are marked as proxy errors, so that they aren't
+ * mistaken for failures of the chapter being sent.
+ * @param {ProxyServer} server - The proxy server.
+ * @param {string} url - The URL on the proxy site.
+ * @param {Object} [retryOptions] - Overrides of the default retry options.
+ * @returns {Promise<Object>} - The axios response.
+ * @throws {RequestError} - The error, with proxy set.
+ */
+async function proxyGet(server, url, retryOptions) {
+	try {
+		return await request.get(
+			url,
+			{ headers: proxyHeaders(server) },
+			retryOptions
+		);
+	} catch (err) {
+		const error = request.classifyError(err);
+		error.proxy = true;
+		throw error;
+	}
+}
+
+/**
+ * Check whether an error means the proxy doesn't accept the token.
+ * @param {RequestError} error - The classified error.
+ * @returns {boolean} - Whether the proxy answered 401 or 403.
+ */
+function isAuthError(error) {
+	return error.status === 401 || error.status === 403;
+}
+
+/**
+ * Check that the proxy server is reachable and accepts the token, before starting a run.
+ * Asks /generic for no images, which costs the proxy nothing.
+ * @param {ProxyServer} server - The proxy server.
+ * @throws {RequestError} - If the proxy can't be used, with a message saying why.
+ */
+async function checkProxy(server) {
+	if (!server.site || !URL.canParse(server.site)) {
+		throw new Error(
+			`The proxy site "${server.site ?? ""}" isn't a valid URL`
+		);
+	}
+
+	try {
+		await proxyGet(server, `${server.site}/generic`, { retries: 1 });
+	} catch (error) {
+		if (isAuthError(error)) {
+			error.message = `The proxy at ${server.site} rejected the token (HTTP ${error.status}), get a new one from ${server.site}/api/login`;
+			throw error;
+		}
+		// Any other answer means the proxy is up and let the request through
+		if (error.kind === "client") return;
+
+		error.message = `The proxy at ${server.site} can't be reached: ${error.message}`;
+		throw error;
+	}
+}
+
+/**
+ * The result of sending a chapter to the proxy.
+ * @typedef {Object} ChapterResult
+ * @property {boolean} success - Whether every image was cached.
+ * @property {number|null} pageCount - The number of pages sent, null when the proxy fetched them itself.
+ * @property {string[]} failedImages - The image URLs the proxy failed to cache.
+ * @property {Object} [images] - The result of each image sent to /generic, "cached" or "failed", by URL.
+ */
+
+/**
+ * Ask the proxy to cache a chapter through its /manga endpoint.
+ * @param {ProxyServer} server - The proxy server.
+ * @param {string} chapterId - The chapter id.
+ * @returns {Promise<ChapterResult>} - The result of the request.
+ * @throws {RequestError} - A proxy error, or a failure of the chapter when the proxy
+ *   refuses it (ie a 404 for a chapter it can't find), without proxy set.
+ */
+async function cacheMangaChapter(server, chapterId) {
+	const chapterUrl = `${server.site}/manga?chapterId=${chapterId}`;
+	let response;
+	try {
+		response = await proxyGet(server, chapterUrl);
+	} catch (error) {
+		// Like a refused /generic chunk, only a proxy that's down or rejects the token fails every chapter
+		if (error.kind === "client" && !isAuthError(error)) error.proxy = false;
+		throw error;
+	}
+
+	// Check that response.data.failedImages array is empty
+	const failedImages = response.data.failedImages;
+	if (failedImages && failedImages.length === 0) {
+		return { success: true, pageCount: null, failedImages: [] };
+	}
+	logger.warn(
+		`Chapter ${chapterId} has failed images: ${logger.formatArgs([
+			failedImages,
+		])}`,
+		{ chapterId, failedImages }
+	);
+	return {
+		success: false,
+		pageCount: null,
+		failedImages: Array.isArray(failedImages) ? failedImages : [],
+	};
+}
+
+/**
+ * Encode an image URL as an imageUrls query parameter, so that its own query string
+ * (ie the tokens of Batoto images) reaches the proxy intact.
+ * @param {string} imageUrl - The image URL.
+ * @returns {string} - The encoded parameter.
+ */
+function imageUrlParam(imageUrl) {
+	return new URLSearchParams({ imageUrls: imageUrl }).toString();
+}
+
+/**
+ * Split image URLs into the /generic requests sending them, each as long as possible
+ * without going over a length. An image whose URL is over the length on its own is sent alone.
+ * @param {string} endpoint - The /generic URL, without a query string.
+ * @param {string[]} imageUrls - The image URLs.
+ * @param {number} [maxLength] - The longest request URL (default: 4000).
+ * @returns {Object[]} - The requests, as { url, images }.
+ */
+function buildGenericRequests(
+	endpoint,
+	imageUrls,
+	maxLength = maxRequestUrlLength
+) {
+	const requests = [];
+	let url = endpoint;
+	let images = [];
+	for (const imageUrl of imageUrls) {
+		const param = imageUrlParam(imageUrl);
+		if (images.length > 0 && url.length + 1 + param.length > maxLength) {
+			requests.push({ url, images });
+			url = endpoint;
+			images = [];
+		}
+		url += `${images.length === 0 ? "?" : "&"}${param}`;
+		images.push(imageUrl);
+	}
+	if (images.length > 0) requests.push({ url, images });
+	return requests;
+}
+
+/**
+ * Change how the image URLs sent to /generic are split into requests.
+ * @param {Object} options - The options.
+ * @param {number} [options.maxUrlLength] - The longest request URL.
+ */
+function configureGenericRequests(options) {
+	if (options.maxUrlLength !== undefined) {
+		maxRequestUrlLength = options.maxUrlLength;
+	}
+}
+
+/**
+ * Ask the proxy to cache a list of images through its /generic endpoint.
+ * A chunk the proxy refuses only fails its own images, the next chunks are still sent.
+ * @param {ProxyServer} server - The proxy server.
+ * @param {string} chapterId - The chapter id the images belong to (used for logging).
+ * @param {string[]} pages - The image URLs.
+ * @param {Object} [options] - The options.
+ * @param {number} [options.maxUrlLength] - The longest request URL (default: 4000).
+ * @returns {Promise<ChapterResult>} - The result of the requests, with the result of each image.
+ */
+async function cacheGenericImages(server, chapterId, pages, options = {}) {
+	const images = {};
+	const failedImages = [];
+
+	for (const chunk of buildGenericRequests(
+		`${server.site}/generic`,
+		pages,
+		options.maxUrlLength
+	)) {
+		let failed;
+		try {
+			const response = await proxyGet(server, chunk.url);
+			// Without a list of failed images, none of them can be trusted to be cached
+			failed = Array.isArray(response.data.failedImages)
+				? response.data.failedImages
+				: chunk.images;
+		} catch (error) {
+			// A proxy that's down or rejects the token fails every chapter, leave it to the caller
+			if (error.kind !== "client" || isAuthError(error)) throw error;
+			logger.warn(
+				`The proxy refused ${chunk.images.length} images of chapter ${chapterId}: ${error.message}`,
+				{ chapterId, images: chunk.images.length, error: error.message }
+			);
+			failed = chunk.images;
+		}
+
+		const failedSet = new Set(failed);
+		for (const imageUrl of chunk.images) {
+			images[imageUrl] = failedSet.has(imageUrl) ? "failed" : "cached";
+		}
+		// Keep the failed images the proxy reports under another URL, so they aren't lost
+		failedImages.push(...failed);
+
+		if (failed.length === 0) {
+			logger.debug(`Chapter ${chapterId} chunk processed successfully.`, {
+				chapterId,
+				images: chunk.images.length,
+			});
+		} else {
+			logger.warn(
+				`Chapter ${chapterId} has failed images: ${logger.formatArgs([
+					failed,
+				])}`,
+				{ chapterId, failedImages: failed }
+			);
+		}
+	}
+
+	return {
+		success: failedImages.length === 0,
+		pageCount: pages.length,
+		failedImages,
+		images,
+	};
+}
+
+/**
+ * Send a chapter to the proxy using the endpoint its source adapter asks for.
+ * @param {ProxyServer} server - The proxy server.
+ * @param {Object} adapter - The source adapter of the chapter.
+ * @param {string} chapterId - The chapter id.
+ * @param {Object} context - The processing context passed to the adapter.
+ * @returns {Promise<ChapterResult>} - The result of caching the chapter.
+ */
+async function cacheChapter(server, adapter, chapterId, context) {
+	if (adapter.proxyEndpoint === "manga") {
+		return cacheMangaChapter(server, chapterId);
+	}
+	const pages = await getPageUrls(adapter, chapterId, context);
+	return cacheGenericImages(server, chapterId, pages);
+}
+
+module.exports = {
+	checkProxy,
+	isAuthError,
+	buildGenericRequests,
+	configureGenericRequests,
+	cacheMangaChapter,
+	cacheGenericImages,
+	cacheChapter,
+};
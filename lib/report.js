@@ -0,0 +1,250 @@
+const fs = require("fs");
+const path = require("path");
+
+// Per manga columns of the CSV and HTML reports
+const mangaColumns = [
+	"sourceId",
+	"mangaId",
+	"status",
+	"discovered",
+	"cached",
+	"skipped",
+	"failed",
+	"proxyFailed",
+	"imagesFailed",
+	"deselected",
+	"leftOut",
+	"elapsedMs",
+	"error",
+];
+
+/**
+ * Create zeroed report totals.
+ * @returns {Object} - The totals.
+ */
+function createTotals() {
+	return {
+		manga: 0,
+		discovered: 0,
+		cached: 0,
+		skipped: 0,
+		failed: 0,
+		proxyFailed: 0,
+		imagesFailed: 0,
+		deselected: 0,
+		leftOut: 0,
+		elapsedMs: 0,
+	};
+}
+
+/**
+ * Add the counts of a manga row to report totals.
+ * @param {Object} totals - The totals to update.
+ * @param {Object} row - The manga row.
+ */
+function addToTotals(totals, row) {
+	totals.manga++;
+	totals.discovered += row.discovered ?? 0;
+	totals.cached += row.cached;
+	totals.skipped += row.skipped;
+	totals.failed += row.failed;
+	totals.proxyFailed += row.proxyFailed;
+	totals.imagesFailed += row.imagesFailed;
+	totals.deselected += row.deselected;
+	totals.leftOut += row.leftOut;
+	totals.elapsedMs += row.elapsedMs;
+}
+
+/**
+ * Build the end of run report from the manga results of processEntries.
+ * @param {Object[]} results - The manga results.
+ * @param {Object} details - Details about the run.
+ * @param {Date} details.startedAt - When the run started.
+ * @param {Date} details.finishedAt - When the run finished.
+ * @param {boolean} details.interrupted - Whether the run was stopped before the end.
+ * @param {string|null} details.archive - The path to the archive the entries came from.
+ * @param {string|null} [details.profile] - The name of the profile of the run, if any.
+ * @returns {Object} - The report, ready to be serialized to JSON.
+ */
+function buildReport(
+	results,
+	{ startedAt, finishedAt, interrupted, archive, profile = null }
+) {
+	const totals = createTotals();
+	const sources = {};
+
+	const manga = results.map((result) => {
+		const row = {
+			sourceId: result.sourceId,
+			mangaId: result.mangaId,
+			status: result.status,
+			discovered: result.chapters,
+			cached: result.cached,
+			skipped: result.skipped,
+			failed: result.failed,
+			proxyFailed: result.proxyFailed,
+			imagesFailed: result.imagesFailed,
+			deselected: result.deselected,
+			leftOut: result.leftOut,
+			elapsedMs: result.elapsedMs,
+			error: result.error,
+		};
+
+		if (!sources[row.sourceId]) sources[row.sourceId] = createTotals();
+		addToTotals(sources[row.sourceId], row);
+		addToTotals(totals, row);
+		return row;
+	});
+
+	// Manga are processed concurrently, so the run took less than the sum of their times
+	totals.elapsedMs = finishedAt - startedAt;
+
+	return {
+		startedAt: startedAt.toISOString(),
+		finishedAt: finishedAt.toISOString(),
+		interrupted,
+		archive,
+		profile,
+		totals,
+		sources,
+		manga,
+	};
+}
+
+/**
+ * Quote a value for a CSV cell.
+ * @param {*} value - The value.
+ * @returns {string} - The CSV cell.
+ */
+function csvCell(value) {
+	const text = value === null || value === undefined ? "" : String(value);
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format the per manga rows of a report as CSV.
+ * @param {Object} report - The report from buildReport.
+ * @returns {string} - The CSV content.
+ */
+function reportToCsv(report) {
+	const lines = [mangaColumns.join(",")];
+	for (const row of report.manga) {
+		lines.push(
+			mangaColumns.map((column) => csvCell(row[column])).join(",")
+		);
+	}
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * Escape text for HTML.
+ * @param {*} value - The value.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(value) {
+	const text = value === null || value === undefined ? "" : String(value);
+	return text
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+/**
+ * Build an HTML table.
+ * @param {string[]} columns - The column names.
+ * @param {Object[]} rows - The rows, with a property per column.
+ * @returns {string} - The table HTML.
+ */
+function htmlTable(columns, rows) {
+	const head = columns.map((column) => `<th>${escapeHtml(column)}</th>`);
+	const body = rows.map((row) => {
+		// Highlight rows with failures so broken scrapers stand out
+		const failing =
+			row.failed > 0 || row.proxyFailed > 0 || row.status === "failed";
+		const cells = columns.map(
+			(column) => `<td>${escapeHtml(row[column])}</td>`
+		);
+		return `<tr${failing ? ' class="failing"' : ""}>${cells.join("")}</tr>`;
+	});
+	return `<table><thead><tr>${head.join("")}</tr></thead><tbody>${body.join(
+		"\n"
+	)}</tbody></table>`;
+}
+
+/**
+ * Format a report as a standalone HTML page.
+ * @param {Object} report - The report from buildReport.
+ * @returns {string} - The HTML page.
+ */
+function reportToHtml(report) {
+	const totalColumns = [
+		"sourceId",
+		...Object.keys(report.totals).filter((key) => key !== "elapsedMs"),
+		"elapsedMs",
+	];
+	const sourceRows = Object.entries(report.sources).map(
+		([sourceId, totals]) => ({ sourceId, ...totals })
+	);
+	sourceRows.push({ sourceId: "Total", ...report.totals });
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Paperback cacher report ${escapeHtml(report.startedAt)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; }
+th { background: #eee; }
+tr.failing { background: #fdd; }
+</style>
+</head>
+<body>
+<h1>Paperback cacher report</h1>
+<p>Started ${escapeHtml(report.startedAt)}, finished ${escapeHtml(
+		report.finishedAt
+	)}${report.interrupted ? " (interrupted)" : ""}. Archive: ${escapeHtml(
+		report.archive ?? "none"
+	)}.${report.profile ? ` Profile: ${escapeHtml(report.profile)}.` : ""}</p>
+<h2>Sources</h2>
+${htmlTable(totalColumns, sourceRows)}
+<h2>Manga</h2>
+${htmlTable(mangaColumns, report.manga)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a report as JSON, CSV and HTML files.
+ * @param {Object} report - The report from buildReport.
+ * @param {string} reportDir - The directory to write the reports to, created if missing.
+ * @returns {string[]} - The paths of the written files.
+ */
+function writeReport(report, reportDir) {
+	fs.mkdirSync(reportDir, { recursive: true });
+	// Profiles warmed together start at the same time, so their reports need the name
+	const baseName = `report-${
+		report.profile ? `${report.profile}-` : ""
+	}${report.startedAt.replace(/[:.]/g, "-")}`;
+	const files = [
+		[`${baseName}.json`, JSON.stringify(report, null, 2)],
+		[`${baseName}.csv`, reportToCsv(report)],
+		[`${baseName}.html`, reportToHtml(report)],
+	];
+
+	return files.map(([fileName, content]) => {
+		const filePath = path.join(reportDir, fileName);
+		fs.writeFileSync(filePath, content, "utf-8");
+		return filePath;
+	});
+}
+
+module.exports = {
+	buildReport,
+	reportToCsv,
+	reportToHtml,
+	writeReport,
+};
@@ -0,0 +1,253 @@
+const axios = require("axios");
+const logger = require("./logger");
+const { hostKey, scheduleRequest } = require("./limiter");
+const { Counter } = require("./metrics");
+const { sleep } = require("./utils");
+
+// Default retry behaviour for every request, see configureRetries
+const defaultRetryOptions = {
+	retries: 3, // Retries after the first attempt
+	minDelay: 1000, // Delay before the first retry, doubled on each retry
+	maxDelay: 30000, // Upper bound of the backoff delay
+	maxRetryAfter: 300000, // Upper bound of a server provided Retry-After delay
+};
+
+const requestRetries = new Counter(
+	"paperback_cacher_request_retries_total",
+	"Requests retried after a failed attempt, by host and kind of error"
+);
+
+// Network error codes that are worth retrying
+const retryableNetworkCodes = [
+	"ECONNABORTED",
+	"ECONNREFUSED",
+	"ECONNRESET",
+	"EAI_AGAIN",
+	"ENETUNREACH",
+	"EPIPE",
+	"ETIMEDOUT",
+	"ERR_NETWORK",
+];
+
+/**
+ * An error from a request (or the parsing of its response), with its classification.
+ *
+ * kind is one of:
+ * - "network": The request never got a response (connection reset, DNS, timeout...).
+ * - "rate-limit": The server answered 429 Too Many Requests.
+ * - "server": The server answered with a 5xx status or 408.
+ * - "client": The server answered with another 4xx status (ie 404, 401).
+ * - "parse": The response could not be understood (selectors or decryption broke).
+ */
+class RequestError extends Error {
+	/**
+	 * @param {string} message - The error message.
+	 * @param {Object} details - The classification of the error.
+	 * @param {string} details.kind - The kind of error.
+	 * @param {boolean} details.retryable - Whether retrying may succeed.
+	 * @param {number} [details.status] - The HTTP status, if a response was received.
+	 * @param {string} [details.url] - The requested URL.
+	 * @param {number} [details.retryAfter] - The server requested delay in milliseconds.
+	 * @param {number} [details.attempts] - How many attempts were made.
+	 * @param {boolean} [details.proxy] - Whether the request went to the proxy server rather than a source.
+	 * @param {Error} [details.cause] - The original error.
+	 */
+	constructor(message, details) {
+		super(message, { cause: details.cause });
+		this.name = "RequestError";
+		this.kind = details.kind;
+		this.retryable = details.retryable;
+		this.status = details.status;
+		this.url = details.url;
+		this.retryAfter = details.retryAfter;
+		this.attempts = details.attempts ?? 1;
+		this.proxy = details.proxy ?? false;
+	}
+}
+
+/**
+ * Strip the query string of a URL so it can be logged without the image list or tokens.
+ * @param {string} [url] - The URL.
+ * @returns {string} - The URL without its query string.
+ */
+function describeUrl(url) {
+	return (url ?? "").split("?")[0];
+}
+
+/**
+ * Parse a Retry-After header into a delay in milliseconds.
+ * @param {string|number} [value] - The header value, either seconds or an HTTP date.
+ * @returns {number|undefined} - The delay, or undefined if the header is missing or invalid.
+ */
+function parseRetryAfter(value) {
+	if (value === undefined || value === null || value === "") return undefined;
+
+	const seconds = Number(value);
+	if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+	const date = Date.parse(value);
+	if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+	return undefined;
+}
+
+/**
+ * Get the kind of error an HTTP error status represents.
+ * @param {number} status - The HTTP status (400 or above).
+ * @returns {string} - "rate-limit", "server" or "client".
+ */
+function statusKind(status) {
+	if (status === 429) return "rate-limit";
+	if (status >= 500 || status === 408) return "server";
+	return "client";
+}
+
+/**
+ * Classify any error thrown while requesting or parsing a page.
+ * @param {Error} error - The error to classify.
+ * @returns {RequestError} - The error as a classified RequestError.
+ */
+function classifyError(error) {
+	if (error instanceof RequestError) return error;
+
+	const url = error.config?.url;
+
+	if (axios.isAxiosError(error) && error.response) {
+		const status = error.response.status;
+		const kind = statusKind(status);
+		return new RequestError(
+			`${kind} error (HTTP ${status}) for ${describeUrl(url)}`,
+			{
+				kind,
+				retryable: kind !== "client",
+				status,
+				url,
+				retryAfter: parseRetryAfter(
+					error.response.headers?.["retry-after"]
+				),
+				cause: error,
+			}
+		);
+	}
+
+	if (
+		axios.isAxiosError(error) ||
+		retryableNetworkCodes.includes(error.code) ||
+		error.name === "TimeoutError" // Puppeteer navigation timeouts
+	) {
+		return new RequestError(
+			`network error for ${describeUrl(url)}: ${error.message}`,
+			{
+				kind: "network",
+				retryable: true,
+				url,
+				cause: error,
+			}
+		);
+	}
+
+	// Anything else comes from our own parsing of the response
+	return new RequestError(error.message, {
+		kind: "parse",
+		retryable: false,
+		cause: error,
+	});
+}
+
+/**
+ * Compute the delay before a retry: exponential backoff with jitter, or the server's Retry-After.
+ * @param {number} attempt - The attempt that just failed, starting at 1.
+ * @param {RequestError} error - The classified error of that attempt.
+ * @param {Object} options - The retry options.
+ * @returns {number} - The delay in milliseconds.
+ */
+function retryDelay(attempt, error, options) {
+	if (error.retryAfter !== undefined) {
+		return Math.min(error.retryAfter, options.maxRetryAfter);
+	}
+
+	const backoff = Math.min(
+		options.maxDelay,
+		options.minDelay * 2 ** (attempt - 1)
+	);
+	// Equal jitter: wait between half and the full backoff
+	return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * Run an async function, retrying it with backoff while it fails with a retryable error.
+ * @param {Function} fn - The function to run, called with the attempt number.
+ * @param {Object} [options] - Overrides of the default retry options.
+ * @returns {Promise<*>} - The result of the function.
+ * @throws {RequestError} - The classified error of the last attempt.
+ */
+async function withRetry(fn, options = {}) {
+	const retryOptions = { ...defaultRetryOptions, ...options };
+
+	for (let attempt = 1; ; attempt++) {
+		try {
+			return await fn(attempt);
+		} catch (err) {
+			const error = classifyError(err);
+			error.attempts = attempt;
+
+			if (!error.retryable || attempt > retryOptions.retries) {
+				throw error;
+			}
+
+			requestRetries.inc({
+				host: error.url ? hostKey(error.url) : "unknown",
+				kind: error.kind,
+			});
+			const delay = retryDelay(attempt, error, retryOptions);
+			logger.warn(
+				`Retrying ${
+					describeUrl(error.url) || "request"
+				} in ${delay}ms after ${error.kind} error (attempt ${attempt}/${
+					retryOptions.retries + 1
+				})`,
+				{
+					url: describeUrl(error.url),
+					errorKind: error.kind,
+					status: error.status,
+					attempt,
+					delayMs: delay,
+				}
+			);
+			await sleep(delay);
+		}
+	}
+}
+
+/**
+ * Change the default retry behaviour of the requests made afterwards.
+ * @param {Object} options - Overrides of the default retry options: retries, minDelay,
+ *   maxDelay and maxRetryAfter (in milliseconds).
+ */
+function configureRetries(options) {
+	Object.assign(defaultRetryOptions, options);
+}
+
+/**
+ * Perform a GET request with retries, within the rate limits of the URL's host.
+ * @param {string} url - The URL to request.
+ * @param {Object} [config] - The axios request config.
+ * @param {Object} [retryOptions] - Overrides of the default retry options.
+ * @returns {Promise<Object>} - The axios response.
+ */
+function get(url, config, retryOptions) {
+	return withRetry(
+		() => scheduleRequest(url, () => axios.get(url, config)),
+		retryOptions
+	);
+}
+
+module.exports = {
+	RequestError,
+	classifyError,
+	statusKind,
+	parseRetryAfter,
+	withRetry,
+	configureRetries,
+	get,
+};
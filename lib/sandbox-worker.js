@@ -0,0 +1,46 @@
+// Runs in a worker thread started by ./sandbox.js, which kills it if it takes too long.
+const vm = require("vm");
+const { parentPort, workerData } = require("worker_threads");
+
+const { expression, timeout } = workerData;
+
+// Whatever the expression returns or throws is turned into a string inside the context,
+// under the time limit, so no getter or toString of the page runs outside of it
+const source = `(() => {
+	try {
+		return "ok:" + String((${expression}
+		));
+	} catch (error) {
+		try {
+			return "error:" + String(
+				error !== null && typeof error === "object" && "message" in error
+					? error.message
+					: error
+			);
+		} catch {
+			return "error:the expression threw a value that can't be described";
+		}
+	}
+})()`;
+
+try {
+	const context = vm.createContext(Object.create(null), {
+		codeGeneration: { strings: false, wasm: false }, // No eval or new Function inside
+		microtaskMode: "afterEvaluate", // Promise callbacks count towards the timeout
+	});
+	const script = new vm.Script(source, { filename: "scraped-expression.js" });
+	const result = script.runInContext(context, { timeout });
+
+	if (typeof result === "string" && result.startsWith("ok:")) {
+		parentPort.postMessage({ value: result.slice(3) });
+	} else if (typeof result === "string" && result.startsWith("error:")) {
+		parentPort.postMessage({ error: result.slice(6) });
+	} else {
+		parentPort.postMessage({
+			error: "The expression did not evaluate to a string",
+		});
+	}
+} catch (error) {
+	// Errors of the vm itself (syntax, timeout) are created here, not by the expression
+	parentPort.postMessage({ error: String(error?.message) });
+}
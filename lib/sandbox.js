@@ -0,0 +1,69 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+// Milliseconds a scraped expression may run for
+const defaultTimeout = 1000;
+
+// Extra milliseconds the worker gets to start and answer before it is killed
+const workerGrace = 2000;
+
+// Memory a worker may use, in MB, so an expression can't exhaust the process
+const workerHeapLimit = 32;
+
+/**
+ * Evaluate a JavaScript expression scraped from a page in a worker thread, inside an isolated
+ * context without access to require, process, the environment or any of our globals. The
+ * worker has an empty environment and is killed if it doesn't answer in time, even when
+ * the expression manages to run code outside of its time limit.
+ * @param {string} expression - The JavaScript expression.
+ * @param {Object} [options] - The evaluation options.
+ * @param {number} [options.timeout] - Milliseconds the evaluation may take (default: 1000).
+ * @returns {Promise<string>} - The value of the expression, as a string.
+ * @throws {Error} - If the expression is invalid, throws, or runs out of time.
+ */
+function evaluateExpression(expression, options = {}) {
+	const timeout = options.timeout ?? defaultTimeout;
+	const worker = new Worker(path.join(__dirname, "sandbox-worker.js"), {
+		workerData: { expression, timeout },
+		env: {},
+		stdout: true,
+		stderr: true,
+		resourceLimits: { maxOldGenerationSizeMb: workerHeapLimit },
+	});
+
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			settle(
+				new Error(`The expression didn't finish within ${timeout}ms`)
+			);
+		}, timeout + workerGrace);
+
+		const settle = (error, value) => {
+			clearTimeout(timer);
+			worker.removeAllListeners();
+			worker.on("error", () => {}); // Errors of a worker being stopped
+			worker.terminate();
+			if (error) reject(error);
+			else resolve(value);
+		};
+
+		// Messages only hold strings created by the worker
+		worker.once("message", (message) => {
+			if (typeof message?.value === "string") {
+				settle(null, message.value);
+			} else {
+				settle(new Error(String(message?.error)));
+			}
+		});
+		worker.once("error", (error) =>
+			settle(new Error(`The evaluation failed: ${error.message}`))
+		);
+		worker.once("exit", (code) =>
+			settle(new Error(`The evaluation stopped (exit code ${code})`))
+		);
+	});
+}
+
+module.exports = {
+	evaluateExpression,
+};
@@ -0,0 +1,59 @@
+/**
+ * Remembers what was fetched from the sources during a run, so that when several proxies
+ * are warmed at once each chapter list and page list is only scraped once, and the same
+ * result is sent to every proxy.
+ */
+class ScrapeMemo {
+	constructor() {
+		this.results = new Map(); // Promises of the results, keyed by kind, sourceId and id
+	}
+
+	/**
+	 * Fetch something from a source, or get the result of the first fetch of it. Failures
+	 * are remembered too, so a page that failed isn't requested again for the next proxy.
+	 * @param {string} key - What is fetched.
+	 * @param {Function} fetch - Fetches it, returns a promise.
+	 * @returns {Promise<*>} - The result of the fetch.
+	 */
+	fetch(key, fetch) {
+		if (!this.results.has(key)) this.results.set(key, fetch());
+		return this.results.get(key);
+	}
+}
+
+/**
+ * List the chapters of a manga through its source adapter, once per run when the context
+ * has a ScrapeMemo.
+ * @param {Object} adapter - The source adapter.
+ * @param {string} mangaId - The manga id.
+ * @param {Object} context - The context passed to adapters.
+ * @param {Object} [manga] - The sourcemanga entry of the manga.
+ * @returns {Promise<Object[]>} - The chapters, see the source adapters.
+ */
+function listChapters(adapter, mangaId, context, manga) {
+	const fetch = () => adapter.listChapters(mangaId, context, manga);
+	return context?.scrapes
+		? context.scrapes.fetch(`chapters\n${adapter.id}\n${mangaId}`, fetch)
+		: fetch();
+}
+
+/**
+ * Get the page image URLs of a chapter through its source adapter, once per run when the
+ * context has a ScrapeMemo.
+ * @param {Object} adapter - The source adapter.
+ * @param {string} chapterId - The chapter id.
+ * @param {Object} context - The context passed to adapters.
+ * @returns {Promise<string[]>} - The image URLs.
+ */
+function getPageUrls(adapter, chapterId, context) {
+	const fetch = () => adapter.getPageUrls(chapterId, context);
+	return context?.scrapes
+		? context.scrapes.fetch(`pages\n${adapter.id}\n${chapterId}`, fetch)
+		: fetch();
+}
+
+module.exports = {
+	ScrapeMemo,
+	listChapters,
+	getPageUrls,
+};
@@ -0,0 +1,195 @@
+// Chapter number ranges: "10-50", "100-" (from 100 on), "-20" (up to 20) or a single "12.5"
+const rangePattern = /^(\d+(?:\.\d+)?)?\s*(-)?\s*(\d+(?:\.\d+)?)?$/;
+
+/**
+ * The rules deciding which manga and chapters are processed, globally and per manga.
+ * @typedef {Object} Selection
+ * @property {number|null} latest - Only keep the N chapters with the highest numbers, null for all.
+ * @property {Object[]|null} ranges - Only keep chapters whose number is in one of these
+ *   { from, to } ranges (bounds included, null for open ended), null for any number.
+ * @property {Set<string>|null} include - Only process the manga with these mangaIds or titles, null for all.
+ * @property {Set<string>} exclude - Never process the manga with these mangaIds or titles.
+ * @property {Map<string, Object>} manga - Rules replacing latest and ranges, by mangaId or title.
+ */
+
+/**
+ * Normalize a mangaId or title so that they match whatever their case and spacing.
+ * @param {string} key - The mangaId or title.
+ * @returns {string} - The normalized key.
+ */
+function normalizeKey(key) {
+	return String(key).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Parse a chapter number range.
+ * @param {string} text - The range, ie "1-50", "100-", "-20" or "12".
+ * @returns {Object|null} - The range as { from, to }, open ends being null, or null if invalid.
+ */
+function parseRange(text) {
+	const match = String(text).trim().match(rangePattern);
+	if (!match || (match[1] === undefined && match[3] === undefined)) {
+		return null;
+	}
+
+	const from = match[1] === undefined ? null : Number(match[1]);
+	const to = match[3] === undefined ? null : Number(match[3]);
+	if (!match[2]) {
+		// A single chapter, "12" (a second number needs a dash)
+		return match[3] === undefined ? { from, to: from } : null;
+	}
+	if (from !== null && to !== null && from > to) return null;
+	return { from, to };
+}
+
+/**
+ * Parse a list of chapter number ranges.
+ * @param {string[]} ranges - The ranges, see parseRange.
+ * @returns {Object[]} - The parsed ranges.
+ * @throws {Error} - If a range is invalid.
+ */
+function parseRanges(ranges) {
+	return ranges.map((text) => {
+		const range = parseRange(text);
+		if (!range) {
+			throw new Error(
+				`Invalid chapter range "${text}", expected ie 1-50, 100-, -20 or 12`
+			);
+		}
+		return range;
+	});
+}
+
+/**
+ * Parse the chapter rules of the whole library or of a manga.
+ * @param {Object} rules - The rules, with latest and ranges.
+ * @returns {Object} - The rules that are set, latest being null for 0 (all chapters).
+ */
+function parseChapterRules({ latest, ranges }) {
+	const rules = {};
+	if (latest !== undefined) rules.latest = latest || null;
+	if (ranges !== undefined) {
+		rules.ranges = ranges.length > 0 ? parseRanges(ranges) : null;
+	}
+	return rules;
+}
+
+/**
+ * Build a selection from its settings, ie the selection section of the configuration.
+ * @param {Object} [settings] - The settings.
+ * @param {number} [settings.latest] - Only keep the N latest chapters of each manga.
+ * @param {string[]} [settings.ranges] - Only keep the chapters in these ranges, see parseRange.
+ * @param {string[]} [settings.include] - Only process the manga with these mangaIds or titles.
+ * @param {string[]} [settings.exclude] - Never process the manga with these mangaIds or titles.
+ * @param {Object} [settings.manga] - latest and ranges replacing the ones above for a manga,
+ *   keyed by mangaId or title. A latest of 0 or empty ranges keep every chapter.
+ * @returns {Selection} - The selection.
+ * @throws {Error} - If a range is invalid.
+ */
+function createSelection(settings = {}) {
+	const selection = {
+		latest: null,
+		ranges: null,
+		include: settings.include?.length
+			? new Set(settings.include.map(normalizeKey))
+			: null,
+		exclude: new Set((settings.exclude ?? []).map(normalizeKey)),
+		manga: new Map(),
+		...parseChapterRules(settings),
+	};
+	for (const [key, rules] of Object.entries(settings.manga ?? {})) {
+		selection.manga.set(normalizeKey(key), parseChapterRules(rules));
+	}
+	return selection;
+}
+
+/**
+ * Get the keys a manga can be selected by: its mangaId and the titles the archive knows.
+ * @param {Object} entry - The sourcemanga entry.
+ * @returns {string[]} - The normalized keys.
+ */
+function mangaKeys(entry) {
+	const titles = entry.originalInfo?.titles ?? [];
+	return [entry.mangaId, ...titles].filter(Boolean).map(normalizeKey);
+}
+
+/**
+ * Check whether the include and exclude lists let a manga be processed.
+ * @param {Selection} selection - The selection.
+ * @param {Object} entry - The sourcemanga entry.
+ * @returns {boolean} - Whether the manga is processed.
+ */
+function isMangaSelected(selection, entry) {
+	const keys = mangaKeys(entry);
+	if (keys.some((key) => selection.exclude.has(key))) return false;
+	return !selection.include || keys.some((key) => selection.include.has(key));
+}
+
+/**
+ * Get the chapter rules of a manga: its own ones over the global ones.
+ * @param {Selection} selection - The selection.
+ * @param {Object} entry - The sourcemanga entry.
+ * @returns {Object} - The rules, as { latest, ranges }.
+ */
+function getChapterRules(selection, entry) {
+	const own = mangaKeys(entry)
+		.map((key) => selection.manga.get(key))
+		.find(Boolean);
+	return {
+		latest: selection.latest,
+		ranges: selection.ranges,
+		...own,
+	};
+}
+
+/**
+ * Keep the chapters of a manga allowed by its chapter rules. Ranges are applied first, then
+ * latest; chapters without a number never match a range and count as the oldest ones.
+ * @param {Object[]} chapters - The chapters from the source adapter, each with an id and a number.
+ * @param {Object} rules - The chapter rules of the manga, from getChapterRules.
+ * @param {Object} [progress] - The reading progress of the manga, for the chapter numbers
+ *   the archive knows.
+ * @returns {Object[]} - The chapters kept, in source order, with their numbers.
+ */
+function selectChapters(chapters, { latest, ranges }, progress) {
+	let selected = chapters.map((chapter) => ({
+		...chapter,
+		number:
+			chapter.number ?? progress?.chapterNumbers.get(chapter.id) ?? null,
+	}));
+
+	if (ranges) {
+		selected = selected.filter(
+			({ number }) =>
+				number !== null &&
+				ranges.some(
+					({ from, to }) =>
+						(from === null || number >= from) &&
+						(to === null || number <= to)
+				)
+		);
+	}
+
+	if (latest && selected.length > latest) {
+		// Array.prototype.sort is stable, so unnumbered chapters keep the source order
+		const newest = [...selected]
+			.sort((a, b) => {
+				if (a.number === null) return b.number === null ? 0 : 1;
+				if (b.number === null) return -1;
+				return b.number - a.number;
+			})
+			.slice(0, latest);
+		const kept = new Set(newest);
+		selected = selected.filter((chapter) => kept.has(chapter));
+	}
+	return selected;
+}
+
+module.exports = {
+	parseRange,
+	parseRanges,
+	createSelection,
+	isMangaSelected,
+	getChapterRules,
+	selectChapters,
+};
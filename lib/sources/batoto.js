@@ -0,0 +1,138 @@
+const cheerio = require("cheerio");
+const CryptoJS = require("crypto-js"); // For decryption of the image tokens
+const { withRetry } = require("../request");
+const { scheduleRequest } = require("../limiter");
+const { defineMirrors } = require("../mirrors");
+const { evaluateExpression } = require("../sandbox");
+const { parseChapterNumber } = require("../utils");
+
+const baseUrl = "https://batocomic.org";
+
+// Batoto is served on several domains, the next one is used when a domain stops working
+const mirrors = defineMirrors("batoto", baseUrl, [
+	baseUrl,
+	"https://bato.to",
+	"https://batotoo.com",
+	"https://xbato.com",
+]);
+
+/**
+ * Load a Batoto page through the shared browser (to get past Cloudflare) and return its HTML.
+ * @param {BrowserPool} browser - The browser pool of the processing context.
+ * @param {string} path - The path of the page, loaded from the first Batoto domain that works.
+ * @returns {Promise<string>} - The page HTML.
+ */
+function fetchPageContent(browser, path) {
+	return mirrors.fetch((mirror) => {
+		const url = `${mirror}${path}`;
+		return withRetry(() =>
+			scheduleRequest(url, () =>
+				browser.fetchContent(url, { referer: mirror })
+			)
+		);
+	});
+}
+
+/**
+ * Scrape the chapter list of a Batoto series.
+ * @param {string} mangaId - The Batoto series id.
+ * @param {Object} context - The processing context.
+ * @param {BrowserPool} context.browser - The browser pool, launched on first use.
+ * @returns {Promise<Object[]>} - The chapters, each with an id and a number.
+ */
+async function listChapters(mangaId, { browser }) {
+	const mangaContent = await fetchPageContent(browser, `/series/${mangaId}`);
+	const $ = cheerio.load(mangaContent);
+
+	const chapters = [];
+	const chapterElements = $("div.episode-list div.main .item").toArray();
+	for (const chapter of chapterElements) {
+		const chapterId =
+			$("a", chapter)
+				.attr("href")
+				?.replace(/\/$/, "")
+				?.split("/")
+				.pop() ?? "";
+		if (!chapterId) continue;
+
+		chapters.push({
+			id: chapterId,
+			number: parseChapterNumber($("a", chapter).text()),
+		});
+	}
+
+	return chapters;
+}
+
+/**
+ * Scrape and decrypt the page image URLs of a Batoto chapter.
+ * @param {string} chapterId - The Batoto chapter id.
+ * @param {Object} context - The processing context.
+ * @param {BrowserPool} context.browser - The browser pool, launched on first use.
+ * @returns {Promise<string[]>} - The image URLs, each carrying its access token.
+ */
+async function getPageUrls(chapterId, { browser }) {
+	const chapterContent = await fetchPageContent(
+		browser,
+		`/chapter/${chapterId}`
+	);
+	const $ = cheerio.load(chapterContent);
+
+	// Find the script containing 'batoPass' and 'batoWord'
+	const scriptObj = $("script")
+		.toArray()
+		.find((obj) => {
+			const data = obj.children[0]?.data ?? "";
+			return data.includes("batoPass") && data.includes("batoWord");
+		});
+	const scriptContent = scriptObj?.children[0]?.data ?? "";
+
+	// Extract batoPass, batoWord, imgHttps from the scriptContent
+	const batoPassMatch = scriptContent.match(/const\s+batoPass\s*=\s*(.*?);/);
+	const batoWordMatch = scriptContent.match(
+		/const\s+batoWord\s*=\s*"(.*?)";/
+	);
+	const imgHttpsMatch = scriptContent.match(/const\s+imgHttps\s*=\s*(.*?);/);
+
+	if (!batoPassMatch || !batoWordMatch || !imgHttpsMatch) {
+		throw new Error(
+			`Unable to find required variables in script for chapter ${chapterId}`
+		);
+	}
+
+	// Evaluate batoPass (it's an obfuscated JavaScript expression) away from our process
+	let batoPass;
+	try {
+		batoPass = await evaluateExpression(batoPassMatch[1]);
+	} catch (error) {
+		throw new Error(
+			`Error evaluating batoPass for chapter ${chapterId}: ${error.message}`
+		);
+	}
+
+	const batoWord = batoWordMatch[1];
+	const imgHttps = imgHttpsMatch[1];
+
+	// Parse imgList and tknList
+	const imgList = JSON.parse(imgHttps);
+	const decrypted = CryptoJS.AES.decrypt(batoWord, batoPass).toString(
+		CryptoJS.enc.Utf8
+	);
+	const tknList = JSON.parse(decrypted);
+
+	// Combine imgList and tknList to get full image URLs
+	return imgList.map((value, index) => {
+		const token = tknList[index] ?? "";
+		return `${value}?${token}`;
+	});
+}
+
+module.exports = {
+	id: "batoto",
+	name: "Batoto",
+	proxyEndpoint: "generic",
+	// Cloudflare protection means pages have to be loaded in a real browser
+	needsBrowser: true,
+	listChapters,
+	getPageUrls,
+};
@@ -0,0 +1,135 @@
+/**
+ * Source adapter registry, keyed by sanitized sourceId.
+ *
+ * A source adapter is an object with:
+ * - id {string}: The sanitized sourceId the adapter handles (ie "mangadex").
+ * - name {string}: Human readable name used in logs.
+ * - proxyEndpoint {"manga"|"generic"}: Which proxy endpoint caches its chapters.
+ *   "manga" sends the chapter id as is, "generic" sends the page image URLs.
+ * - needsBrowser {boolean} (optional): Whether the adapter loads pages through the browser.
+ * - listChapters(mangaId, context, manga) {Promise<Object[]>}: The chapters of a manga, each
+ *   with an id {string} and a number {number|null} (the chapter number, null when unknown).
+ *   manga is the sourcemanga entry, with the originalInfo of the archive when it has one.
+ * - getPageUrls(chapterId, context) {Promise<string[]>}: The page image URLs of a
+ *   chapter. Required when proxyEndpoint is "generic".
+ * - configure(settings) (optional): Applies the settings of the source from the
+ *   configuration file, see configureSource.
+ * - canonicalMangaId(mangaId) {string} (optional): The mangaId the cache keys of a manga use,
+ *   the same whichever domain of the source the archive has it on.
+ * - canonicalChapterId(chapterId) {string} (optional): The same for chapterIds, to move the
+ *   chapters cached under a former domain.
+ *
+ * The context passed to adapters holds shared resources: context.browser is the BrowserPool
+ * (see ../browser.js), launched the first time an adapter loads a page through it.
+ * Adapters are called through ../scrapes.js, so that when several proxies are warmed at once
+ * each chapter list and page list is only fetched once.
+ */
+
+const { sanitizeSourceId } = require("../utils");
+
+const adapters = new Map();
+
+// Sources that are present in backups but have nothing to cache
+let ignoredSources = ["toonily", "anilist"];
+
+/**
+ * Register a source adapter, replacing any adapter with the same id.
+ * @param {Object} adapter - The source adapter to register.
+ */
+function registerSource(adapter) {
+	if (!adapter || !adapter.id || typeof adapter.listChapters !== "function") {
+		throw new Error(
+			"Source adapters need an id and a listChapters function"
+		);
+	}
+	if (
+		adapter.proxyEndpoint !== "manga" &&
+		adapter.proxyEndpoint !== "generic"
+	) {
+		throw new Error(
+			`Source adapter ${adapter.id} has an invalid proxyEndpoint: ${adapter.proxyEndpoint}`
+		);
+	}
+	if (
+		adapter.proxyEndpoint === "generic" &&
+		typeof adapter.getPageUrls !== "function"
+	) {
+		throw new Error(
+			`Source adapter ${adapter.id} needs a getPageUrls function for the generic endpoint`
+		);
+	}
+	adapters.set(adapter.id, adapter);
+}
+
+/**
+ * Get the adapter for a sanitized sourceId.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @returns {Object|null} - The source adapter, or null if the source is unsupported.
+ */
+function getSource(sourceId) {
+	return adapters.get(sourceId) ?? null;
+}
+
+/**
+ * Get the mangaId the cache keys of a manga use, the same whichever domain of its source
+ * the archive has it on.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {string} mangaId - The mangaId, ie from the archive.
+ * @returns {string} - The canonical mangaId, or mangaId for sources without domains.
+ */
+function canonicalMangaId(sourceId, mangaId) {
+	return getSource(sourceId)?.canonicalMangaId?.(mangaId) ?? mangaId;
+}
+
+/**
+ * Check whether a sanitized sourceId is deliberately skipped.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @returns {boolean} - Whether entries from this source are ignored.
+ */
+function isIgnoredSource(sourceId) {
+	return ignoredSources.includes(sourceId);
+}
+
+/**
+ * Replace the sources that are deliberately skipped.
+ * @param {string[]} sourceIds - The sourceIds, sanitized here.
+ */
+function setIgnoredSources(sourceIds) {
+	ignoredSources = sourceIds.map(sanitizeSourceId);
+}
+
+/**
+ * Apply settings to the adapter of a source, ie the Mangadex section of the configuration.
+ * @param {string} sourceId - The sanitized sourceId.
+ * @param {Object} settings - The settings of the source.
+ */
+function configureSource(sourceId, settings) {
+	const adapter = getSource(sourceId);
+	if (typeof adapter?.configure !== "function") {
+		throw new Error(`Source ${sourceId} has no settings`);
+	}
+	adapter.configure(settings);
+}
+
+/**
+ * List the registered source adapters.
+ * @returns {Object[]} - The source adapters.
+ */
+function listSources() {
+	return [...adapters.values()];
+}
+
+registerSource(require("./mangadex"));
+registerSource(require("./weebcentral"));
+registerSource(require("./manganato"));
+registerSource(require("./batoto"));
+
+module.exports = {
+	registerSource,
+	getSource,
+	canonicalMangaId,
+	isIgnoredSource,
+	setIgnoredSources,
+	configureSource,
+	listSources,
+};
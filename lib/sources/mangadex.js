@@ -0,0 +1,222 @@
+const logger = require("../logger");
+const { defineMirrors } = require("../mirrors");
+
+const baseUrl = "https://api.mangadex.org";
+
+// A single domain, listed so the API can be pointed elsewhere (ie a local server in the tests)
+const mirrors = defineMirrors("mangadex", baseUrl, [baseUrl]);
+
+// Chapters per page of the feed, 500 being the most the API returns at once
+let feedLimit = 500;
+
+// Content ratings of the feed, every one of them unless configured otherwise
+const allContentRatings = ["safe", "suggestive", "erotica", "pornographic"];
+let contentRatings = allContentRatings;
+
+// Translated languages of the feed, in order of preference
+let languages = ["en"];
+
+// Scanlation group ids whose releases are preferred (in order) or never cached
+let preferredGroups = [];
+let blockedGroups = [];
+
+// Keep a single release of each chapter number
+let dedupe = true;
+
+// Use the language Paperback stores for a manga instead of the languages above
+let archiveLanguage = true;
+
+// Mangadex language codes, ie "en", "pt-br" or "es-la"
+const languagePattern = /^[a-z]{2}(-[a-z]{2})?$/;
+
+/**
+ * Apply the Mangadex settings of the configuration file.
+ * @param {Object} settings - The settings.
+ * @param {number} [settings.feedLimit] - Chapters per page of the feed, up to 500.
+ * @param {string[]} [settings.languages] - Translated languages to list, in order of preference (default: en).
+ * @param {string[]} [settings.contentRatings] - Content ratings to list (default: all of them).
+ * @param {string[]} [settings.preferredGroups] - Scanlation group ids whose releases are
+ *   kept first, in order of preference.
+ * @param {string[]} [settings.blockedGroups] - Scanlation group ids whose releases are left out.
+ * @param {boolean} [settings.dedupe] - Keep a single release of each chapter number (default: true).
+ * @param {boolean} [settings.archiveLanguage] - Use the language of a manga in the archive,
+ *   when it has one, instead of languages (default: true).
+ */
+function configure(settings) {
+	if (settings.feedLimit !== undefined) feedLimit = settings.feedLimit;
+	if (settings.languages !== undefined) languages = settings.languages;
+	if (settings.contentRatings !== undefined) {
+		contentRatings = settings.contentRatings;
+	}
+	if (settings.preferredGroups !== undefined) {
+		preferredGroups = settings.preferredGroups;
+	}
+	if (settings.blockedGroups !== undefined) {
+		blockedGroups = settings.blockedGroups;
+	}
+	if (settings.dedupe !== undefined) dedupe = settings.dedupe;
+	if (settings.archiveLanguage !== undefined) {
+		archiveLanguage = settings.archiveLanguage;
+	}
+}
+
+/**
+ * Get the languages to list for a manga.
+ * @param {Object} [manga] - The sourcemanga entry of the manga.
+ * @returns {string[]} - The language codes, in order of preference.
+ */
+function mangaLanguages(manga) {
+	// Paperback keeps it in additionalInfo, older backups on the info itself
+	const info = manga?.originalInfo;
+	const flag = info?.additionalInfo?.langFlag ?? info?.langFlag;
+	if (archiveLanguage && typeof flag === "string") {
+		const language = flag.trim().toLowerCase();
+		// Flags that aren't language codes (ie emoji) are ignored
+		if (languagePattern.test(language)) return [language];
+	}
+	return languages;
+}
+
+/**
+ * Rank a release of a chapter, lower being better: by language, then by preferred group.
+ * @param {Object} release - The release, with its language and groups.
+ * @param {string[]} preferredLanguages - The languages, in order of preference.
+ * @returns {number[]} - The language rank and the group rank.
+ */
+function rankRelease(release, preferredLanguages) {
+	const languageRank = preferredLanguages.indexOf(release.language);
+	const groupRanks = release.groups
+		.map((group) => preferredGroups.indexOf(group))
+		.filter((rank) => rank !== -1);
+	return [
+		languageRank === -1 ? preferredLanguages.length : languageRank,
+		groupRanks.length > 0
+			? Math.min(...groupRanks)
+			: preferredGroups.length,
+	];
+}
+
+/**
+ * Keep the best release of each chapter number. Releases without a number are all kept.
+ * @param {Object[]} releases - The releases, in feed order.
+ * @param {string[]} preferredLanguages - The languages, in order of preference.
+ * @returns {Object[]} - The releases kept, in feed order.
+ */
+function pickReleases(releases, preferredLanguages) {
+	const best = new Map(); // Keyed by chapter number
+	for (const release of releases) {
+		if (release.number === null) continue;
+		const current = best.get(release.number);
+		if (!current) {
+			best.set(release.number, release);
+			continue;
+		}
+		const [language, group] = rankRelease(release, preferredLanguages);
+		const [currentLanguage, currentGroup] = rankRelease(
+			current,
+			preferredLanguages
+		);
+		// Ties go to the release listed first
+		if (
+			language < currentLanguage ||
+			(language === currentLanguage && group < currentGroup)
+		) {
+			best.set(release.number, release);
+		}
+	}
+	return releases.filter(
+		(release) =>
+			release.number === null || best.get(release.number) === release
+	);
+}
+
+/**
+ * Fetch every chapter id in the Mangadex feed for a manga, a page of feedLimit chapters at a time.
+ * External chapters (hosted elsewhere, without pages) and the releases of blocked groups are
+ * left out, and only the best release of each chapter number is kept unless dedupe is off.
+ * @param {string} mangaId - The Mangadex manga id.
+ * @param {Object} [context] - The context passed to adapters.
+ * @param {Object} [manga] - The sourcemanga entry of the manga, for its language.
+ * @returns {Promise<Object[]>} - The chapters, each with an id and a number.
+ */
+async function listChapters(mangaId, context, manga) {
+	const feedLanguages = mangaLanguages(manga);
+	const feedPath = `/manga/${mangaId}/feed?${[
+		`limit=${feedLimit}`,
+		...contentRatings.map((rating) => `contentRating[]=${rating}`),
+		...feedLanguages.map((language) => `translatedLanguage[]=${language}`),
+	].join("&")}`;
+	const releases = [];
+	let offset = 0;
+	let hasResults = true;
+	let external = 0;
+	let blocked = 0;
+
+	// Loop to handle pagination, increasing offset by feedLimit each time
+	while (hasResults) {
+		// The Referer header is the API itself
+		const response = await mirrors.get(`${feedPath}&offset=${offset}`);
+		const data = response.data;
+
+		// Check if results are returned
+		if (data.data && data.data.length > 0) {
+			logger.debug(
+				`Mangadex results for mangaId ${mangaId} at offset ${offset}: ${data.data.length}`,
+				{ sourceId: "mangadex", mangaId, offset }
+			);
+
+			for (const chapter of data.data) {
+				if (chapter.type !== "chapter") continue;
+				const attributes = chapter.attributes ?? {};
+				// The proxy can't cache chapters hosted on another site
+				if (attributes.externalUrl && !attributes.pages) {
+					external++;
+					continue;
+				}
+				const groups = (chapter.relationships ?? [])
+					.filter(({ type }) => type === "scanlation_group")
+					.map(({ id }) => id);
+				if (groups.some((group) => blockedGroups.includes(group))) {
+					blocked++;
+					continue;
+				}
+
+				const number = parseFloat(attributes.chapter);
+				releases.push({
+					id: chapter.id,
+					number: Number.isNaN(number) ? null : number,
+					language: attributes.translatedLanguage,
+					groups,
+				});
+			}
+
+			offset += feedLimit;
+		} else {
+			hasResults = false;
+			logger.debug(
+				`No more results for mangaId ${mangaId} at offset ${offset}.`,
+				{ sourceId: "mangadex", mangaId, offset }
+			);
+		}
+	}
+
+	const kept = dedupe ? pickReleases(releases, feedLanguages) : releases;
+	if (external > 0 || blocked > 0 || kept.length < releases.length) {
+		logger.debug(
+			`Mangadex left out ${external} external chapter(s), ${blocked} from blocked groups and ${
+				releases.length - kept.length
+			} duplicate release(s) for mangaId ${mangaId}`,
+			{ sourceId: "mangadex", mangaId }
+		);
+	}
+	return kept.map(({ id, number }) => ({ id, number }));
+}
+
+module.exports = {
+	id: "mangadex",
+	name: "Mangadex",
+	// The proxy fetches Mangadex chapters itself from the chapter id
+	proxyEndpoint: "manga",
+	listChapters,
+	configure,
+};
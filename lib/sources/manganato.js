@@ -0,0 +1,90 @@
+const { defineMirrors } = require("../mirrors");
+const { parseChapterNumber } = require("../utils");
+const cheerio = require("cheerio");
+
+const baseUrl = "https://manganato.com";
+
+// Manganato moves domains regularly, manga and chapter URLs are moved to the mirror that works.
+// Archives and chapter lists still have URLs on the domains it used before.
+const mirrors = defineMirrors(
+	"manganato",
+	baseUrl,
+	[
+		baseUrl,
+		"https://www.natomanga.com",
+		"https://www.nelomanga.com",
+		"https://www.manganato.gg",
+	],
+	[
+		"https://chapmanganato.com",
+		"https://chapmanganato.to",
+		"https://readmanganato.com",
+		"https://manganelo.com",
+		"https://chapmanganelo.com",
+	]
+);
+
+/**
+ * Scrape the chapter list of a Manganato manga.
+ * @param {string} mangaId - The Manganato manga id (the full manga page URL, on any of its domains).
+ * @returns {Promise<Object[]>} - The chapters, each with an id (the full chapter page URL on the canonical domain) and a number.
+ */
+async function listChapters(mangaId) {
+	const response = await mirrors.get(mangaId);
+	const $ = cheerio.load(response.data);
+
+	const chapterListSelector =
+		"div.panel-story-chapter-list ul.row-content-chapter li," +
+		"div.manga-info-chapter div.chapter-list div.row";
+	const chapterElements = $(chapterListSelector).toArray();
+
+	const chapters = [];
+	for (const chapter of chapterElements) {
+		const chapterUrl = $("a", chapter).attr("href") ?? "";
+		if (!chapterUrl) continue;
+
+		chapters.push({
+			// Keep the ids on the same domain whichever mirror listed them
+			id: mirrors.toCanonical(chapterUrl),
+			number: parseChapterNumber($("a", chapter).text()),
+		});
+	}
+
+	return chapters;
+}
+
+/**
+ * Scrape the page image URLs of a Manganato chapter.
+ * @param {string} chapterId - The Manganato chapter id (the full chapter page URL).
+ * @returns {Promise<string[]>} - The image URLs.
+ */
+async function getPageUrls(chapterId) {
+	const response = await mirrors.get(chapterId);
+	const $ = cheerio.load(response.data);
+
+	const pages = [];
+	const chapterImagesSelector = "div.container-chapter-reader img";
+	const imgElements = $(chapterImagesSelector).toArray();
+
+	for (const img of imgElements) {
+		let image = $(img).attr("src") ?? "";
+		if (!image) image = $(img).attr("data-src") ?? "";
+		if (!image)
+			throw new Error(
+				`Unable to parse image(s) for Chapter ID: ${chapterId}`
+			);
+		pages.push(image.replace("?undefined", ""));
+	}
+
+	return pages;
+}
+
+module.exports = {
+	id: "manganato",
+	name: "Manganato",
+	proxyEndpoint: "generic",
+	listChapters,
+	getPageUrls,
+	canonicalMangaId: (mangaId) => mirrors.toCanonical(mangaId),
+	canonicalChapterId: (chapterId) => mirrors.toCanonical(chapterId),
+};
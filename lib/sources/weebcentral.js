@@ -0,0 +1,65 @@
+const { defineMirrors } = require("../mirrors");
+const { parseChapterNumber } = require("../utils");
+const cheerio = require("cheerio");
+
+const baseUrl = "https://weebcentral.com";
+
+const mirrors = defineMirrors("weebcentral", baseUrl, [baseUrl]);
+
+/**
+ * Scrape the full chapter list of a Weebcentral series.
+ * @param {string} mangaId - The Weebcentral series id.
+ * @returns {Promise<Object[]>} - The chapters, each with an id and a number.
+ */
+async function listChapters(mangaId) {
+	const response = await mirrors.get(`/series/${mangaId}/full-chapter-list`);
+	const $ = cheerio.load(response.data);
+
+	const chapters = [];
+	const arrChapters = $("a.flex.items-center").toArray();
+	for (const chapterObj of arrChapters) {
+		const chapterHref = $(chapterObj).attr("href");
+		if (!chapterHref) continue;
+
+		const chapterId = chapterHref.replace(/\/$/, "").split("/").pop();
+		if (!chapterId) continue;
+
+		chapters.push({
+			id: chapterId,
+			number: parseChapterNumber($(chapterObj).text()),
+		});
+	}
+
+	return chapters;
+}
+
+/**
+ * Scrape the page image URLs of a Weebcentral chapter.
+ * @param {string} chapterId - The Weebcentral chapter id.
+ * @returns {Promise<string[]>} - The image URLs.
+ */
+async function getPageUrls(chapterId) {
+	const response = await mirrors.get(
+		`/chapters/${chapterId}/images?reading_style=long_strip`
+	);
+	const $ = cheerio.load(response.data);
+
+	const pages = [];
+	const imgElems = $("img", "section.cursor-pointer").toArray();
+	for (const img of imgElems) {
+		let image = $(img).attr("src") || "";
+		if (!image) image = $(img).attr("data-src") || "";
+		if (!image) continue;
+		pages.push(image.replace("?undefined", ""));
+	}
+
+	return pages;
+}
+
+module.exports = {
+	id: "weebcentral",
+	name: "Weebcentral",
+	proxyEndpoint: "generic",
+	listChapters,
+	getPageUrls,
+};
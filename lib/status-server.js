@@ -0,0 +1,162 @@
+const http = require("http");
+const { renderMetrics } = require("./metrics");
+
+// Interface the status server listens on unless told otherwise, so it isn't exposed
+const defaultHost = "127.0.0.1";
+
+/**
+ * A local HTTP server exposing the progress of a Cacher:
+ * - /metrics - Every metric in the Prometheus text format.
+ * - /status - The run in progress as JSON: the manga being processed, how many entries are
+ *   done out of the total, and the estimated time left.
+ */
+class StatusServer {
+	/**
+	 * @param {Cacher} cacher - The cacher whose runs are followed.
+	 */
+	constructor(cacher) {
+		this.server = null;
+		this.run = null;
+
+		cacher.on("runStarted", ({ archive, dryRun, entries }) => {
+			this.run = {
+				running: true,
+				archive,
+				dryRun,
+				startedAt: new Date(),
+				finishedAt: null,
+				total: entries,
+				done: 0,
+				cached: 0,
+				failed: 0,
+				proxy: "up", // "down" while the circuit breaker holds the chapters
+				current: new Map(), // Manga in progress, keyed by sourceId and mangaId
+			};
+		});
+		cacher.on("mangaStarted", ({ sourceId, mangaId, position }) => {
+			this.run?.current.set(`${sourceId}\n${mangaId}`, {
+				sourceId,
+				mangaId,
+				position,
+				startedAt: new Date(),
+			});
+		});
+		cacher.on("mangaFinished", ({ sourceId, mangaId }) => {
+			if (!this.run) return;
+			this.run.current.delete(`${sourceId}\n${mangaId}`);
+			this.run.done++;
+		});
+		cacher.on("chapterCached", () => {
+			if (this.run) this.run.cached++;
+		});
+		cacher.on("chapterFailed", () => {
+			if (this.run) this.run.failed++;
+		});
+		cacher.on("proxyDown", () => {
+			if (this.run) this.run.proxy = "down";
+		});
+		cacher.on("proxyUp", () => {
+			if (this.run) this.run.proxy = "up";
+		});
+		cacher.on("runFinished", ({ finishedAt }) => {
+			if (!this.run) return;
+			this.run.running = false;
+			this.run.finishedAt = finishedAt;
+			this.run.current.clear();
+		});
+	}
+
+	/**
+	 * Get the progress of the current (or last) run.
+	 * @param {Date} [now] - The current time.
+	 * @returns {Object} - The status, ready to be serialized to JSON.
+	 */
+	getStatus(now = new Date()) {
+		if (!this.run) return { running: false, run: null };
+
+		const { current, ...run } = this.run;
+		const elapsedMs = (run.finishedAt ?? now) - run.startedAt;
+		// Assume the remaining entries take as long as the finished ones did on average
+		const remainingMs =
+			run.running && run.done > 0
+				? Math.round((elapsedMs / run.done) * (run.total - run.done))
+				: null;
+		return {
+			running: run.running,
+			run: {
+				...run,
+				elapsedMs,
+				eta:
+					remainingMs === null
+						? null
+						: new Date(now.getTime() + remainingMs),
+				remainingMs,
+				current: [...current.values()],
+			},
+		};
+	}
+
+	/**
+	 * Answer a request to the server.
+	 * @param {http.IncomingMessage} req - The request.
+	 * @param {http.ServerResponse} res - The response.
+	 */
+	handle(req, res) {
+		const { pathname } = new URL(req.url, "http://localhost");
+		if (req.method !== "GET") {
+			res.writeHead(405, { Allow: "GET" }).end();
+		} else if (pathname === "/metrics") {
+			res.writeHead(200, {
+				"Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+			}).end(renderMetrics());
+		} else if (pathname === "/status") {
+			res.writeHead(200, {
+				"Content-Type": "application/json; charset=utf-8",
+			}).end(JSON.stringify(this.getStatus(), null, 2));
+		} else {
+			res.writeHead(404, { "Content-Type": "text/plain" }).end(
+				"Not found, try /metrics or /status"
+			);
+		}
+	}
+
+	/**
+	 * Start listening.
+	 * @param {number} port - The port, 0 for any free port.
+	 * @param {string} [host] - The interface to listen on (default: 127.0.0.1).
+	 * @returns {Promise<string>} - The URL of the server.
+	 */
+	listen(port, host = defaultHost) {
+		this.server = http.createServer((req, res) => this.handle(req, res));
+		return new Promise((resolve, reject) => {
+			this.server.once("error", reject);
+			this.server.listen(port, host, () => {
+				this.server.off("error", reject);
+				const address = this.server.address();
+				const hostname =
+					address.family === "IPv6"
+						? `[${address.address}]`
+						: address.address;
+				resolve(`http://${hostname}:${address.port}`);
+			});
+		});
+	}
+
+	/**
+	 * Stop listening.
+	 * @returns {Promise<void>}
+	 */
+	close() {
+		if (!this.server) return Promise.resolve();
+		const server = this.server;
+		this.server = null;
+		return new Promise((resolve) => {
+			server.close(() => resolve());
+			server.closeAllConnections();
+		});
+	}
+}
+
+module.exports = {
+	StatusServer,
+};
@@ -0,0 +1,32 @@
+/**
+ * Cache storage backends, chosen by the extension of the cache file.
+ *
+ * A storage backend is an object with:
+ * - name {string}: The name of the backend.
+ * - read(filePath) {Object}: Parse the file into { data, journalEntries, truncated }, where
+ *   data is the cache object as stored (possibly an older format), journalEntries the
+ *   number of changes stored after the last full write and truncated whether an incomplete
+ *   write was dropped. Throws a SyntaxError if the file is corrupt.
+ * - write(filePath, cache): Atomically write the whole cache.
+ * - append(filePath, entries) (optional): Store changes without rewriting the cache, see
+ *   journal.js for the entries. Backends with append also have compactAfter, the number of
+ *   appended entries after which the cache is written whole again.
+ */
+
+const jsonStorage = require("./json");
+const journalStorage = require("./journal");
+
+/**
+ * Get the storage backend of a cache file: the journal for ".jsonl" files, JSON otherwise.
+ * @param {string} filePath - The path to the cache file.
+ * @returns {Object} - The storage backend.
+ */
+function storageForFile(filePath) {
+	return filePath.toLowerCase().endsWith(".jsonl")
+		? journalStorage
+		: jsonStorage;
+}
+
+module.exports = {
+	storageForFile,
+};
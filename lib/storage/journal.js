@@ -0,0 +1,109 @@
+const fs = require("fs");
+const { writeFileAtomic } = require("../utils");
+const logger = require("../logger");
+
+// Journal entries appended after the snapshot before the journal is compacted
+const compactAfter = 5000;
+
+/*
+ * Journal file format (JSON lines):
+ * - The first line is a snapshot of the cache object, in the format of the JSON storage.
+ * - Every following line is a change made after the snapshot, either
+ *   {"op":"chapter","sourceId":"…","mangaId":"…","chapterId":"…","record":{…}}
+ *   or {"op":"removeManga","sourceId":"…","mangaId":"…"}.
+ * Compacting the journal replaces it with a single snapshot of the current cache.
+ */
+
+/**
+ * Apply a journal entry to the cache data.
+ * @param {Object} data - The cache data being rebuilt.
+ * @param {Object} entry - The journal entry.
+ * @throws {SyntaxError} - If the entry is not a known change.
+ */
+function applyEntry(data, entry) {
+	if (entry.op === "chapter") {
+		const mangas = (data.sources[entry.sourceId] ??= {});
+		const chapters = (mangas[entry.mangaId] ??= {});
+		chapters[entry.chapterId] = entry.record;
+	} else if (entry.op === "removeManga") {
+		const mangas = data.sources[entry.sourceId];
+		if (!mangas) return;
+		delete mangas[entry.mangaId];
+		if (Object.keys(mangas).length === 0) {
+			delete data.sources[entry.sourceId];
+		}
+	} else {
+		throw new SyntaxError(
+			`Unknown journal entry: ${JSON.stringify(entry)}`
+		);
+	}
+}
+
+/**
+ * Cache storage as an append-only journal, so saving a chapter result only appends a line
+ * instead of rewriting the whole cache. Meant for libraries with many chapters.
+ */
+const journalStorage = {
+	name: "journal",
+	compactAfter,
+
+	/**
+	 * Read a journal file and replay its changes on top of the snapshot.
+	 * A last line cut short by a crash is dropped, any other invalid line makes the file corrupt.
+	 * @param {string} filePath - The path to the file.
+	 * @returns {Object} - The cache data, the number of journal entries after the snapshot
+	 *   and whether an incomplete last line was dropped.
+	 * @throws {SyntaxError} - If the file is empty or has an invalid line.
+	 */
+	read(filePath) {
+		const lines = fs.readFileSync(filePath, "utf-8").split("\n");
+		// Every complete line ends with a newline, anything after the last one was cut short
+		const partialLine = lines.pop();
+		if (lines.length === 0) {
+			throw new SyntaxError("The cache journal has no snapshot");
+		}
+
+		const data = JSON.parse(lines[0]);
+		for (const line of lines.slice(1)) {
+			applyEntry(data, JSON.parse(line));
+		}
+
+		const truncated = partialLine !== "";
+		if (truncated) {
+			logger.warn(
+				`Dropped an incomplete last line of the cache journal ${filePath}.`,
+				{ cacheFile: filePath }
+			);
+		}
+		return { data, journalEntries: lines.length - 1, truncated };
+	},
+
+	/**
+	 * Compact the journal into a snapshot of the whole cache.
+	 * @param {string} filePath - The path to the file.
+	 * @param {Object} cache - The cache object.
+	 */
+	write(filePath, cache) {
+		writeFileAtomic(filePath, `${JSON.stringify(cache)}\n`);
+	},
+
+	/**
+	 * Append changes to the journal.
+	 * @param {string} filePath - The path to the file.
+	 * @param {Object[]} entries - The journal entries to append.
+	 */
+	append(filePath, entries) {
+		const fd = fs.openSync(filePath, "a");
+		try {
+			fs.writeSync(
+				fd,
+				entries.map((entry) => `${JSON.stringify(entry)}\n`).join("")
+			);
+			fs.fsyncSync(fd);
+		} finally {
+			fs.closeSync(fd);
+		}
+	},
+};
+
+module.exports = journalStorage;
@@ -0,0 +1,35 @@
+const fs = require("fs");
+const { writeFileAtomic } = require("../utils");
+
+/**
+ * The original cache storage: the whole cache as one pretty-printed JSON file,
+ * rewritten every time the cache is saved.
+ */
+const jsonStorage = {
+	name: "json",
+
+	/**
+	 * Read a cache file.
+	 * @param {string} filePath - The path to the file.
+	 * @returns {Object} - The parsed cache data, with no journal entries and nothing truncated.
+	 * @throws {SyntaxError} - If the file is empty or not valid JSON.
+	 */
+	read(filePath) {
+		return {
+			data: JSON.parse(fs.readFileSync(filePath, "utf-8")),
+			journalEntries: 0,
+			truncated: false,
+		};
+	},
+
+	/**
+	 * Write the whole cache.
+	 * @param {string} filePath - The path to the file.
+	 * @param {Object} cache - The cache object.
+	 */
+	write(filePath, cache) {
+		writeFileAtomic(filePath, JSON.stringify(cache, null, 2));
+	},
+};
+
+module.exports = jsonStorage;
@@ -0,0 +1,81 @@
+const fs = require("fs");
+
+/**
+ * Sanitize a filename by removing dashes, underscores, and spaces, and converting to lowercase.
+ * @param {string} filename - The filename to sanitize.
+ * @returns {string} - The sanitized filename.
+ */
+function sanitizeFilename(filename) {
+	return filename.replace(/[\s_\-]/g, "").toLowerCase();
+}
+
+/**
+ * Sanitize the sourceId by removing dashes, underscores, and spaces, trimming, and converting to lowercase.
+ * @param {string} sourceId - The sourceId to sanitize.
+ * @returns {string} - The sanitized sourceId.
+ */
+function sanitizeSourceId(sourceId) {
+	return sourceId
+		.toLowerCase()
+		.replace(/[\s_\-]/g, "")
+		.trim();
+}
+
+/**
+ * Parse the chapter number out of a chapter label, ie "Chapter 12.5: The Title".
+ * @param {string} [text] - The chapter label.
+ * @returns {number|null} - The chapter number, or null if the label has none.
+ */
+function parseChapterNumber(text) {
+	const match = (text ?? "").match(
+		/\b(?:chapter|chap|ch|episode|ep)\.?\s*(\d+(?:\.\d+)?)/i
+	);
+	return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Replace a file atomically: the data is written to a temporary file that is renamed over
+ * the file, and the previous version of the file is kept as a ".bak" backup.
+ * @param {string} filePath - The path to the file.
+ * @param {string} data - The new content of the file.
+ */
+function writeFileAtomic(filePath, data) {
+	const tempFilePath = `${filePath}.tmp-${process.pid}`;
+	const fd = fs.openSync(tempFilePath, "w");
+	try {
+		fs.writeSync(fd, data);
+		fs.fsyncSync(fd);
+	} finally {
+		fs.closeSync(fd);
+	}
+
+	if (fs.existsSync(filePath)) {
+		const backupFilePath = `${filePath}.bak`;
+		fs.rmSync(backupFilePath, { force: true });
+		try {
+			// A hard link keeps the previous version without copying it
+			fs.linkSync(filePath, backupFilePath);
+		} catch (error) {
+			fs.copyFileSync(filePath, backupFilePath);
+		}
+	}
+
+	fs.renameSync(tempFilePath, filePath);
+}
+
+/**
+ * Wait for the given number of milliseconds.
+ * @param {number} ms - The number of milliseconds to wait.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+	sanitizeFilename,
+	sanitizeSourceId,
+	parseChapterNumber,
+	writeFileAtomic,
+	sleep,
+};
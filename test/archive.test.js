@@ -0,0 +1,90 @@
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const JSZip = require("jszip");
+const {
+	loadArchive,
+	resolveArchiveFile,
+	findNewestPaperbackArchiveFile,
+} = require("../lib/archive");
+const { buildReadingProgress, prioritizeChapters } = require("../lib/progress");
+const {
+	setupTestDir,
+	removeTestDir,
+	writeArchive,
+} = require("./helpers/server");
+
+describe("paperback archives", () => {
+	let dir;
+	let archiveFilePath;
+
+	before(async () => {
+		dir = setupTestDir();
+		archiveFilePath = await writeArchive(dir);
+	});
+
+	after(() => removeTestDir(dir));
+
+	test("the archive in a directory is found", () => {
+		assert.equal(resolveArchiveFile(undefined, dir), archiveFilePath);
+		assert.equal(findNewestPaperbackArchiveFile(dir), archiveFilePath);
+
+		const emptyDir = path.join(dir, "empty");
+		fs.mkdirSync(emptyDir);
+		assert.throws(
+			() => resolveArchiveFile(undefined, emptyDir),
+			/No paperbackarchive file found/
+		);
+	});
+
+	test("sourcemanga, chapters and progress markers are read", async () => {
+		const archive = await loadArchive(archiveFilePath);
+
+		assert.deepEqual(
+			Object.values(archive.sourceManga).map((entry) => entry.sourceId),
+			["MangaDex", "WeebCentral", "Toonily", "SomeUnknownSource"]
+		);
+		assert.equal(Object.keys(archive.chapters).length, 2);
+		assert.equal(Object.keys(archive.chapterProgressMarkers).length, 1);
+	});
+
+	test("an archive without sourcemanga is rejected", async () => {
+		const emptyArchive = path.join(dir, "empty-paperbackarchive.zip");
+		fs.writeFileSync(
+			emptyArchive,
+			await new JSZip().generateAsync({ type: "nodebuffer" })
+		);
+
+		await assert.rejects(loadArchive(emptyArchive), /No sourcemanga file/);
+	});
+
+	test("unread chapters come first, after the last read one", async () => {
+		const archive = await loadArchive(archiveFilePath);
+		const progress = buildReadingProgress(
+			archive.chapters,
+			archive.chapterProgressMarkers
+		);
+		const mangaProgress = progress["7F0C3A10-0000-4000-8000-000000000001"];
+		assert.equal(mangaProgress.lastReadNumber, 1);
+
+		const chapters = [
+			{ id: "0b3e4f6a-1c2d-4e5f-8a9b-000000000001", number: 1 },
+			{ id: "extra", number: null },
+			{ id: "0b3e4f6a-1c2d-4e5f-8a9b-000000000003", number: 2.5 },
+			{ id: "0b3e4f6a-1c2d-4e5f-8a9b-000000000002", number: 2 },
+		];
+		const ids = (list) => list.map((chapter) => chapter.id);
+
+		assert.deepEqual(ids(prioritizeChapters(chapters, mangaProgress)), [
+			"0b3e4f6a-1c2d-4e5f-8a9b-000000000002",
+			"0b3e4f6a-1c2d-4e5f-8a9b-000000000003",
+			"extra",
+			"0b3e4f6a-1c2d-4e5f-8a9b-000000000001",
+		]);
+		assert.deepEqual(
+			ids(prioritizeChapters(chapters, mangaProgress, { nextUnread: 1 })),
+			["0b3e4f6a-1c2d-4e5f-8a9b-000000000002"]
+		);
+	});
+});
@@ -0,0 +1,117 @@
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { CircuitBreaker } = require("../lib/breaker");
+const { RequestError } = require("../lib/request");
+const { setupTestDir, removeTestDir } = require("./helpers/server");
+
+/**
+ * Create a proxy error.
+ * @param {number} status - The HTTP status the proxy answered.
+ * @returns {RequestError} - The error.
+ */
+function proxyError(status) {
+	return new RequestError(`error (HTTP ${status})`, {
+		kind: status >= 500 ? "server" : "client",
+		retryable: status >= 500,
+		status,
+		proxy: true,
+	});
+}
+
+describe("proxy circuit breaker", () => {
+	let dir;
+
+	before(() => {
+		dir = setupTestDir();
+	});
+
+	after(() => {
+		removeTestDir(dir);
+	});
+
+	test("opens after consecutive failures and closes once the proxy answers", async () => {
+		let probes = 0;
+		const events = [];
+		const breaker = new CircuitBreaker({
+			threshold: 3,
+			probeInterval: 5,
+			probe: async () => {
+				probes++;
+				if (probes < 3) throw proxyError(503);
+			},
+			onOpen: () => events.push("open"),
+			onClose: () => events.push("close"),
+		});
+
+		breaker.recordFailure(proxyError(503));
+		breaker.recordSuccess(); // Only consecutive failures count
+		breaker.recordFailure(proxyError(503));
+		breaker.recordFailure(proxyError(503));
+		assert.equal(breaker.isOpen, false);
+		breaker.recordFailure(proxyError(503));
+		assert.equal(breaker.isOpen, true);
+		assert.equal(breaker.stopping, false);
+
+		await breaker.wait();
+
+		assert.equal(breaker.isOpen, false);
+		assert.equal(probes, 3);
+		assert.deepEqual(events, ["open", "close"]);
+	});
+
+	test("stops the run when the token is rejected", () => {
+		const breaker = new CircuitBreaker({
+			threshold: 5,
+			probe: async () => {},
+		});
+
+		breaker.recordFailure(proxyError(401));
+
+		assert.equal(breaker.isOpen, true);
+		assert.equal(breaker.stopping, true);
+		breaker.dispose();
+	});
+
+	test("in abort mode waiting chapters are let go when the run stops", async () => {
+		const breaker = new CircuitBreaker({
+			threshold: 1,
+			mode: "abort",
+			probe: async () => {},
+		});
+		breaker.recordFailure(proxyError(502));
+		assert.equal(breaker.stopping, true);
+
+		const controller = new AbortController();
+		const waiting = breaker.wait(controller.signal);
+		controller.abort();
+		await waiting;
+		breaker.dispose();
+	});
+
+	test("a probe that finishes after the run doesn't close the breaker", async () => {
+		let finishProbe;
+		let closed = 0;
+		const breaker = new CircuitBreaker({
+			threshold: 1,
+			probeInterval: 5,
+			probe: () =>
+				new Promise((resolve) => {
+					finishProbe = resolve;
+				}),
+			onClose: () => closed++,
+		});
+		breaker.recordFailure(proxyError(503));
+
+		// The probe is in flight when the run ends
+		while (!finishProbe) {
+			await new Promise((resolve) => setTimeout(resolve, 5));
+		}
+		breaker.dispose();
+		finishProbe();
+		await new Promise((resolve) => setTimeout(resolve, 20));
+
+		assert.equal(closed, 0);
+		assert.equal(breaker.isOpen, true);
+		assert.equal(breaker.timer, null);
+	});
+});
@@ -0,0 +1,159 @@
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const cache = require("../lib/cache");
+const { acquireLock } = require("../lib/lock");
+const { setupTestDir, removeTestDir } = require("./helpers/server");
+
+describe("cache", () => {
+	let dir;
+
+	before(() => {
+		dir = setupTestDir();
+	});
+
+	after(() => removeTestDir(dir));
+
+	test("boolean caches are migrated", () => {
+		const cacheFilePath = path.join(dir, "legacy.json");
+		fs.writeFileSync(
+			cacheFilePath,
+			JSON.stringify({ mangadex: { m1: { c1: true, c2: false } } })
+		);
+
+		const loaded = cache.loadCache(cacheFilePath);
+		assert.equal(loaded.version, cache.cacheVersion);
+		assert.ok(cache.isChapterCached(loaded, "mangadex", "m1", "c1"));
+		assert.deepEqual(cache.getFailedChapters(loaded, "mangadex", "m1"), [
+			"c2",
+		]);
+
+		cache.saveCache(cacheFilePath, loaded);
+		const saved = JSON.parse(fs.readFileSync(cacheFilePath, "utf-8"));
+		assert.equal(saved.version, cache.cacheVersion);
+	});
+
+	test("a corrupt cache is replaced by its backup", () => {
+		const cacheFilePath = path.join(dir, "corrupt.json");
+		const original = cache.createCache();
+		cache.recordChapter(original, "mangadex", "m1", "c1", {
+			success: true,
+		});
+		cache.saveCache(cacheFilePath, original);
+		cache.recordChapter(original, "mangadex", "m1", "c2", {
+			success: true,
+		});
+		cache.saveCache(cacheFilePath, original);
+		fs.writeFileSync(cacheFilePath, '{"version":2,"sour');
+
+		const recovered = cache.loadCache(cacheFilePath);
+		assert.ok(cache.isChapterCached(recovered, "mangadex", "m1", "c1"));
+		assert.ok(
+			fs
+				.readdirSync(dir)
+				.some((name) => name.startsWith("corrupt.json.corrupt-"))
+		);
+	});
+
+	test("the journal appends changes and survives a torn last line", () => {
+		const cacheFilePath = path.join(dir, "cache.jsonl");
+		const journal = cache.loadCache(cacheFilePath);
+		cache.recordChapter(journal, "weebcentral", "s1", "c1", {
+			success: true,
+			pageCount: 3,
+		});
+		cache.saveCache(cacheFilePath, journal);
+		cache.recordChapter(journal, "weebcentral", "s1", "c2", {
+			success: false,
+			error: new Error("boom"),
+		});
+		cache.removeManga(journal, "weebcentral", "gone");
+		cache.saveCache(cacheFilePath, journal);
+
+		const lines = fs.readFileSync(cacheFilePath, "utf-8").split("\n");
+		// The snapshot, the two changes and the final newline
+		assert.equal(lines.length, 4);
+		fs.appendFileSync(cacheFilePath, '{"op":"chapter","sour');
+
+		const reloaded = cache.loadCache(cacheFilePath);
+		assert.deepEqual(reloaded, journal);
+	});
+
+	test("moved keys are merged and survive the journal", () => {
+		const cacheFilePath = path.join(dir, "rekey.jsonl");
+		const journal = cache.loadCache(cacheFilePath);
+		const attempt = (chapterId, success, lastAttempt) => {
+			cache.recordChapter(journal, "manganato", "old/m", chapterId, {
+				success,
+			});
+			journal.sources.manganato["old/m"][chapterId].lastAttempt =
+				lastAttempt;
+		};
+		attempt("old/c1", true, "2024-01-01T00:00:00.000Z");
+		attempt("old/c2", false, "2024-01-02T00:00:00.000Z");
+		cache.saveCache(cacheFilePath, journal);
+		// The canonical manga comes last and still has a chapter on the old domain
+		cache.recordChapter(journal, "manganato", "new/m", "old/c2", {
+			success: true,
+		});
+		journal.sources.manganato["new/m"]["old/c2"].lastAttempt =
+			"2024-01-01T00:00:00.000Z";
+
+		const toNew = (id) => id.replace(/^old\//, "new/");
+		assert.equal(cache.rekeySource(journal, "manganato", toNew, toNew), 2);
+		cache.saveCache(cacheFilePath, journal);
+
+		const reloaded = cache.loadCache(cacheFilePath);
+		assert.deepEqual(reloaded, journal);
+		assert.deepEqual(Object.keys(reloaded.sources.manganato), ["new/m"]);
+		assert.deepEqual(
+			cache.getFailedChapters(reloaded, "manganato", "new/m"),
+			["new/c2"]
+		);
+		assert.ok(
+			cache.isChapterCached(reloaded, "manganato", "new/m", "new/c1")
+		);
+	});
+
+	test("old cached chapters are stale once a TTL is given", () => {
+		const record = {
+			status: "cached",
+			lastAttempt: "2024-01-01T00:00:00Z",
+		};
+		const now = Date.parse("2024-01-11T00:00:00Z");
+		const day = 24 * 60 * 60 * 1000;
+
+		assert.equal(cache.isChapterStale(record, undefined, now), false);
+		assert.equal(cache.isChapterStale(record, 30 * day, now), false);
+		assert.equal(cache.isChapterStale(record, 7 * day, now), true);
+		assert.equal(
+			cache.isChapterStale({ status: "cached", lastAttempt: null }, day),
+			true
+		);
+	});
+
+	test("a lock being written isn't taken over", () => {
+		const cacheFilePath = path.join(dir, "locked.json");
+		const lockFilePath = `${cacheFilePath}.lock`;
+
+		// Another run created the file but hasn't written its pid yet
+		fs.writeFileSync(lockFilePath, "");
+		assert.throws(() => acquireLock(cacheFilePath), /taking the lock/);
+
+		// Once old enough an unreadable lock is stale
+		const past = new Date(Date.now() - 60000);
+		fs.utimesSync(lockFilePath, past, past);
+		const release = acquireLock(cacheFilePath);
+		const holder = JSON.parse(fs.readFileSync(lockFilePath, "utf-8"));
+		assert.equal(holder.pid, process.pid);
+		assert.throws(() => acquireLock(cacheFilePath), /Another run \(pid/);
+
+		release();
+		assert.ok(!fs.existsSync(lockFilePath));
+		assert.deepEqual(
+			fs.readdirSync(dir).filter((name) => name.endsWith(".tmp")),
+			[]
+		);
+	});
+});
@@ -0,0 +1,426 @@
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { Cacher, runTogether, configureMirrors } = require("../lib");
+const { acquireLock } = require("../lib/lock");
+const {
+	setupTestDir,
+	removeTestDir,
+	startFixtureServer,
+	writeArchive,
+} = require("./helpers/server");
+const { startMockProxy } = require("./helpers/mock-proxy");
+
+describe("Cacher", () => {
+	let dir;
+	let server;
+	let mockProxy;
+	let archiveFilePath;
+
+	before(async () => {
+		dir = setupTestDir();
+		server = await startFixtureServer();
+		mockProxy = await startMockProxy({
+			token: "test-token",
+			failingChapters: ["0b3e4f6a-1c2d-4e5f-8a9b-000000000003"],
+		});
+		configureMirrors("mangadex", [server.origin]);
+		configureMirrors("weebcentral", [server.origin]);
+		archiveFilePath = await writeArchive(dir);
+	});
+
+	after(async () => {
+		await server.close();
+		await mockProxy.close();
+		removeTestDir(dir);
+	});
+
+	test("a run reports its progress through events", async () => {
+		const cacher = new Cacher({
+			archive: archiveFilePath,
+			cacheFile: path.join(dir, "events.json"),
+			site: mockProxy.origin,
+			token: "test-token",
+			sources: ["mangadex"],
+		});
+		const events = [];
+		for (const name of [
+			"runStarted",
+			"mangaStarted",
+			"chapterCached",
+			"chapterFailed",
+			"mangaFinished",
+			"runFinished",
+		]) {
+			cacher.on(name, (details) => events.push({ name, details }));
+		}
+
+		const run = await cacher.run();
+
+		const names = events.map(({ name }) => name);
+		assert.equal(names[0], "runStarted");
+		assert.equal(events[0].details.entries, 4);
+		assert.equal(names.at(-1), "runFinished");
+		// Only the Mangadex entry is processed, the others finish without starting
+		assert.equal(names.filter((name) => name === "mangaStarted").length, 1);
+		assert.deepEqual(
+			events
+				.filter(({ name }) => name === "mangaFinished")
+				.map(({ details }) => details.status)
+				.sort(),
+			["filtered", "filtered", "ignored", "processed"]
+		);
+		// Chapters of a manga are processed at the same time, in any order
+		const chapterEvents = events.filter(({ name }) =>
+			name.startsWith("chapter")
+		);
+		assert.deepEqual(chapterEvents.map(({ name }) => name).sort(), [
+			"chapterCached",
+			"chapterCached",
+			"chapterFailed",
+		]);
+		const failed = chapterEvents.find(
+			({ name }) => name === "chapterFailed"
+		);
+		assert.equal(
+			failed.details.chapterId,
+			"0b3e4f6a-1c2d-4e5f-8a9b-000000000003"
+		);
+		assert.equal(failed.details.failedImages.length, 1);
+		assert.equal(events.at(-1).details, run);
+		assert.equal(run.archive, archiveFilePath);
+		assert.equal(run.interrupted, false);
+
+		assert.equal(cacher.status().mangadex.cached, 2);
+	});
+
+	test("a plan doesn't need the proxy", async () => {
+		const cacher = new Cacher({
+			archive: archiveFilePath,
+			cacheFile: path.join(dir, "plan.json"),
+			sources: ["weebcentral"],
+		});
+
+		const plan = await cacher.plan();
+
+		assert.equal(plan.totals.toSubmit, 3);
+	});
+
+	test("a plan counts the chapters and manga the selection leaves out", async () => {
+		const cacher = new Cacher({
+			archive: archiveFilePath,
+			cacheFile: path.join(dir, "selection.json"),
+			selection: {
+				ranges: ["2-"],
+				exclude: ["test central series"],
+			},
+		});
+
+		const plan = await cacher.plan();
+
+		const statuses = Object.fromEntries(
+			plan.manga.map((manga) => [manga.sourceId, manga.status])
+		);
+		assert.equal(statuses.weebcentral, "excluded");
+		assert.equal(plan.sources.weebcentral.status, "supported");
+		const mangadex = plan.manga.find(
+			(manga) => manga.sourceId === "mangadex"
+		);
+		assert.equal(mangadex.chapters, 3);
+		assert.equal(mangadex.deselected, 1); // Chapter 1
+		assert.equal(mangadex.toSubmit, 2);
+		assert.equal(plan.totals.deselected, 1);
+	});
+
+	test("a run with a token the proxy rejects doesn't start", async () => {
+		const cacher = new Cacher({
+			archive: archiveFilePath,
+			cacheFile: path.join(dir, "bad-token.json"),
+			site: mockProxy.origin,
+			token: "expired-token",
+		});
+		const requests = server.requests.length;
+
+		await assert.rejects(cacher.run(), {
+			message: /rejected the token \(HTTP 401\)/,
+		});
+		assert.equal(server.requests.length, requests); // Nothing was scraped
+	});
+
+	test("chapters aren't marked failed when the proxy goes down", async () => {
+		const cacher = new Cacher({
+			archive: archiveFilePath,
+			cacheFile: path.join(dir, "proxy-down.json"),
+			site: mockProxy.origin,
+			token: "test-token",
+			sources: ["weebcentral"],
+		});
+		// The token expires once the preflight check passed
+		cacher.on("runStarted", () => {
+			mockProxy.failWith = 401;
+		});
+		const proxyDown = [];
+		cacher.on("proxyDown", (details) => proxyDown.push(details));
+
+		let run;
+		try {
+			run = await cacher.run();
+		} finally {
+			mockProxy.failWith = null;
+		}
+
+		assert.match(run.proxyError, /HTTP 401/);
+		assert.equal(run.interrupted, true);
+		assert.equal(proxyDown.length, 1);
+		assert.equal(proxyDown[0].stopping, true);
+		const [result] = run.results.filter(
+			({ status }) => status === "processed"
+		);
+		assert.ok(result.proxyFailed > 0);
+		assert.equal(result.failed, 0);
+		const { weebcentral } = cacher.status();
+		assert.equal(weebcentral.cached, 0);
+		assert.equal(weebcentral.failed, 0);
+	});
+
+	test("chapters the proxy refuses are failed without opening the breaker", async () => {
+		const cacher = new Cacher({
+			archive: archiveFilePath,
+			cacheFile: path.join(dir, "proxy-404.json"),
+			site: mockProxy.origin,
+			token: "test-token",
+			sources: ["mangadex"],
+			proxyFailures: 1,
+			onProxyDown: "abort",
+		});
+		// /manga can't find the chapters, the proxy itself is fine
+		cacher.on("runStarted", () => {
+			mockProxy.failWith = 404;
+		});
+
+		let run;
+		try {
+			run = await cacher.run();
+		} finally {
+			mockProxy.failWith = null;
+		}
+
+		assert.equal(run.proxyError, null);
+		assert.equal(run.interrupted, false);
+		const [result] = run.results.filter(
+			({ status }) => status === "processed"
+		);
+		assert.equal(result.proxyFailed, 0);
+		assert.equal(result.failed, 3);
+		assert.equal(cacher.status().mangadex.failed, 3);
+	});
+
+	test("proxies warmed together share what is scraped", async () => {
+		const otherProxy = await startMockProxy({ token: "other-token" });
+		const cachers = [
+			new Cacher({
+				profile: "home",
+				archive: archiveFilePath,
+				cacheFile: path.join(dir, "together-home.json"),
+				site: mockProxy.origin,
+				token: "test-token",
+				sources: ["weebcentral"],
+			}),
+			new Cacher({
+				profile: "vps",
+				archive: archiveFilePath,
+				cacheFile: path.join(dir, "together-vps.json"),
+				site: otherProxy.origin,
+				token: "other-token",
+				sources: ["weebcentral"],
+			}),
+		];
+		const scraped = () =>
+			server.requests.filter(({ url }) =>
+				/^\/(series|chapters)\//.test(url.pathname)
+			).length;
+		const scrapedBefore = scraped();
+
+		let outcomes;
+		try {
+			outcomes = await runTogether(cachers, (cacher, shared) =>
+				cacher.run({ shared })
+			);
+		} finally {
+			await otherProxy.close();
+		}
+
+		assert.deepEqual(
+			outcomes.map(({ run }) => run.profile),
+			["home", "vps"]
+		);
+		assert.ok(outcomes.every(({ error }) => error === null));
+		// One chapter list and three page lists, sent to both proxies
+		assert.equal(scraped() - scrapedBefore, 4);
+		assert.equal(otherProxy.cachedImages.length, 9);
+		for (const cacher of cachers) {
+			assert.equal(cacher.status().weebcentral.cached, 3);
+		}
+	});
+
+	test("manga on a former domain keep the cache keys of the canonical one", async () => {
+		configureMirrors("manganato", [server.origin]);
+		const cacheFile = path.join(dir, "canonical.json");
+		const cacher = new Cacher({
+			cacheFile,
+			site: mockProxy.origin,
+			token: "test-token",
+			preflight: false,
+		});
+
+		const run = await cacher.process({
+			entry: {
+				sourceId: "Manganato",
+				mangaId: "https://chapmanganato.to/manga-ab123456",
+			},
+		});
+
+		const mangaId = "https://manganato.com/manga-ab123456";
+		assert.equal(run.results[0].mangaId, mangaId);
+		const chapters = cacher.withCache(true, (cache) =>
+			Object.keys(cache.sources.manganato[mangaId])
+		);
+		assert.equal((await chapters).length, 3);
+	});
+
+	test("prune keeps manga the archive has on a former domain", async () => {
+		configureMirrors("manganato", [server.origin]);
+		const cacheFile = path.join(dir, "prune-former.json");
+		const cacher = new Cacher({
+			cacheFile,
+			site: mockProxy.origin,
+			token: "test-token",
+			preflight: false,
+		});
+		await cacher.process({
+			entry: {
+				sourceId: "Manganato",
+				mangaId: "https://chapmanganato.to/manga-ab123",
+			},
+		});
+
+		const archive = await writeArchive(dir, {
+			fileName: "Paperback-Archive-Former.zip",
+			sourceManga: {
+				"7F0C3A10-0000-4000-8000-000000000005": {
+					id: "7F0C3A10-0000-4000-8000-000000000005",
+					mangaId: "https://chapmanganato.to/manga-ab123",
+					sourceId: "Manganato",
+				},
+			},
+		});
+		assert.deepEqual(await cacher.prune({ archive }), []);
+
+		const removed = await cacher.prune({ archive: archiveFilePath });
+		assert.deepEqual(
+			removed.map(({ sourceId, mangaId }) => [sourceId, mangaId]),
+			[["manganato", "https://manganato.com/manga-ab123"]]
+		);
+	});
+
+	test("chapters cached under a former domain are moved to the canonical keys", async () => {
+		configureMirrors("manganato", [server.origin]);
+		const cacheFile = path.join(dir, "former-keys.json");
+		const record = (status, lastAttempt) => ({
+			status,
+			attempts: 1,
+			lastAttempt,
+			pageCount: status === "cached" ? 2 : null,
+			failedImages: [],
+			error: status === "cached" ? null : "boom",
+			errorKind: status === "cached" ? null : "network",
+		});
+		const former = "https://chapmanganato.to/manga-ab123456";
+		const canonical = "https://manganato.com/manga-ab123456";
+		fs.writeFileSync(
+			cacheFile,
+			JSON.stringify({
+				version: 2,
+				sources: {
+					manganato: {
+						[former]: {
+							[`${former}/chapter-1`]: record(
+								"cached",
+								"2024-01-02T00:00:00.000Z"
+							),
+							[`${former}/chapter-2`]: record(
+								"cached",
+								"2024-01-02T00:00:00.000Z"
+							),
+							[`${former}/chapter-3`]: record(
+								"failed",
+								"2024-01-03T00:00:00.000Z"
+							),
+						},
+						[canonical]: {
+							[`${canonical}/chapter-3`]: record(
+								"cached",
+								"2024-01-01T00:00:00.000Z"
+							),
+						},
+					},
+				},
+			})
+		);
+		const cacher = new Cacher({
+			cacheFile,
+			site: mockProxy.origin,
+			token: "test-token",
+			preflight: false,
+		});
+
+		// The later attempt wins when both domains have the chapter
+		assert.deepEqual(cacher.status().manganato, {
+			cached: 2,
+			failed: 1,
+			manga: { [canonical]: { cached: 2, failed: 1 } },
+		});
+		const run = await cacher.process({
+			entry: { sourceId: "Manganato", mangaId: former },
+		});
+
+		assert.equal(run.results[0].skipped, 2);
+		assert.equal(run.results[0].cached, 1);
+		const saved = JSON.parse(fs.readFileSync(cacheFile, "utf-8"));
+		assert.deepEqual(Object.keys(saved.sources.manganato), [canonical]);
+		assert.deepEqual(
+			Object.keys(saved.sources.manganato[canonical]).sort(),
+			[1, 2, 3].map((number) => `${canonical}/chapter-${number}`)
+		);
+	});
+
+	test("the cache lock is released once the cache is closed or fails to load", () => {
+		const cacheFile = path.join(dir, "released.json");
+		const cacher = new Cacher({ cacheFile });
+
+		cacher.openCache();
+		assert.throws(() => acquireLock(cacheFile), /is using the cache/);
+		cacher.closeCache();
+		acquireLock(cacheFile)();
+
+		fs.writeFileSync(
+			cacheFile,
+			JSON.stringify({ version: 99, sources: {} })
+		);
+		assert.throws(() => cacher.openCache(), /version 99/);
+		acquireLock(cacheFile)();
+	});
+
+	test("a run without the proxy site is rejected", async () => {
+		const cacher = new Cacher({
+			archive: archiveFilePath,
+			cacheFile: path.join(dir, "no-site.json"),
+		});
+
+		await assert.rejects(cacher.run(), {
+			message:
+				"The site and token of the proxy are required to send chapters",
+		});
+	});
+});
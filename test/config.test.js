@@ -0,0 +1,143 @@
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadConfig, configFlags } = require("../lib/config");
+const { setupTestDir, removeTestDir } = require("./helpers/server");
+
+describe("configuration", () => {
+	let dir;
+
+	before(() => {
+		dir = setupTestDir();
+	});
+
+	after(() => {
+		removeTestDir(dir);
+	});
+
+	/**
+	 * Write a configuration file in the test directory.
+	 * @param {string} name - The file name.
+	 * @param {Object} config - The configuration.
+	 * @returns {string} - The path to the file.
+	 */
+	function writeConfig(name, config) {
+		const filePath = path.join(dir, name);
+		fs.writeFileSync(filePath, JSON.stringify(config), "utf-8");
+		return filePath;
+	}
+
+	test("the environment overrides the file", () => {
+		const file = writeConfig("config.json", {
+			site: "https://proxy.example.com",
+			cacheFile: "progress.json",
+			log: { level: "warn", dir: "logs" },
+			rates: { "weebcentral.com": { rate: 1, concurrency: 1 } },
+			mangadex: { feedLimit: 100 },
+		});
+
+		const config = loadConfig({
+			file,
+			env: {
+				TOKEN: "secret",
+				PAPERBACK_CACHER_LOG_LEVEL: "debug",
+				PAPERBACK_CACHER_CONCURRENCY: "4",
+				PAPERBACK_CACHER_IGNORED_SOURCES: "toonily, anilist, comick",
+			},
+		});
+
+		assert.equal(config.file, file);
+		assert.equal(config.site, "https://proxy.example.com");
+		assert.equal(config.token, "secret");
+		assert.deepEqual(config.log, { level: "debug", dir: "logs" });
+		assert.equal(config.concurrency, 4);
+		assert.deepEqual(config.ignoredSources, [
+			"toonily",
+			"anilist",
+			"comick",
+		]);
+		assert.equal(config.mangadex.feedLimit, 100);
+	});
+
+	test("settings with a flag become flag values", () => {
+		const flags = configFlags({
+			cacheFile: "progress.json",
+			log: { level: "warn", daily: true },
+			proxy: { preflight: false, onDown: "abort", maxUrlLength: 2000 },
+			watch: { interval: 30 },
+			mangadex: { feedLimit: 100 },
+		});
+
+		assert.deepEqual(flags, {
+			cache: "progress.json",
+			"log-level": "warn",
+			"log-daily": true,
+			"no-preflight": true,
+			"on-proxy-down": "abort",
+			interval: 30,
+		});
+	});
+
+	test("every invalid or unknown setting is listed", () => {
+		const file = writeConfig("invalid.json", {
+			concurrancy: 2,
+			chapterConcurrency: 0,
+			log: { level: "verbose", colour: true },
+			rates: { "weebcentral.com": { rate: "fast" } },
+			mirrors: { Manganato: [], mangapark: ["https://mangapark.net"] },
+			mangadex: { feedLimit: 1000, contentRatings: ["nsfw"] },
+			selection: {
+				ranges: ["1-50", "50-10"],
+				manga: { "One Piece": { latest: -1 } },
+			},
+			profiles: {
+				home: { site: "https://proxy.example.com", tokn: "x" },
+			},
+		});
+
+		assert.throws(
+			() =>
+				loadConfig({
+					file,
+					env: { PAPERBACK_CACHER_STATUS_PORT: "http" },
+				}),
+			(error) => {
+				const lines = error.message.split("\n");
+				assert.equal(lines[0], `Invalid configuration in ${file}:`);
+				assert.deepEqual(lines.slice(1).sort(), [
+					'  - PAPERBACK_CACHER_STATUS_PORT must be a whole number from 0 to 65535, got "http"',
+					"  - chapterConcurrency must be a whole number of at least 1, got 0",
+					'  - log.level must be one of debug, info, warn, error, got "verbose"',
+					'  - mangadex.contentRatings[0] must be one of safe, suggestive, erotica, pornographic, got "nsfw"',
+					"  - mangadex.feedLimit must be a whole number from 1 to 500, got 1000",
+					"  - mirrors.Manganato must have at least 1 item(s)",
+					'  - profile "home": unknown key(s) tokn, expected site, token, tokenEnv, sources, cacheFile',
+					'  - rates.weebcentral.com.rate must be a number over 0, got "fast"',
+					"  - selection.manga.One Piece.latest must be a whole number of at least 0, got -1",
+					'  - selection.ranges[1] must be a chapter range like 1-50, 100-, -20 or 12, got "50-10"',
+					"  - unknown key concurrancy, expected one of site, token, archive, cacheFile, reportDir, sources, concurrency, chapterConcurrency, skipRead, nextUnread, ttl, ignoredSources, selection, log, proxy, retry, rates, mirrors, mangadex, browser, watch, status, profiles",
+					"  - unknown key log.colour, expected one of level, format, dir, maxSize, maxFiles, daily, quiet",
+					"  - unknown source mirrors.mangapark, expected one of mangadex, weebcentral, manganato, batoto",
+				]);
+				return true;
+			}
+		);
+	});
+
+	test("the default file is optional, a requested one isn't", () => {
+		const cwd = process.cwd();
+		process.chdir(dir);
+		try {
+			fs.rmSync(path.join(dir, "config.json"));
+			assert.deepEqual(loadConfig({ env: {} }), { file: null });
+		} finally {
+			process.chdir(cwd);
+		}
+
+		assert.throws(
+			() => loadConfig({ file: path.join(dir, "missing.json"), env: {} }),
+			{ message: /The configuration file .*missing\.json doesn't exist/ }
+		);
+	});
+});
@@ -0,0 +1,75 @@
+const { startServer } = require("./server");
+
+/**
+ * Start a local stand-in for the proxy server's /manga and /generic endpoints.
+ * Requests without the right bearer token are answered with 401, like the real proxy.
+ * @param {Object} options - The behaviour of the mock.
+ * @param {string} options.token - The token the requests must carry.
+ * @param {string[]} [options.failingChapters] - Chapter ids /manga reports a failed image for.
+ * @param {string[]} [options.missingChapters] - Chapter ids /manga answers 404 for.
+ * @param {string[]} [options.failingImages] - Image URLs /generic reports as failed.
+ * @param {number} [options.maxUrlLength] - Longer request URLs are answered with 414.
+ * @returns {Promise<Object>} - The server, see startServer, with the chapters and images
+ *   it was asked to cache. Setting its failWith property to an HTTP status makes every
+ *   request fail with that status, ie to take the proxy down in the middle of a run.
+ */
+async function startMockProxy({
+	token,
+	failingChapters = [],
+	missingChapters = [],
+	failingImages = [],
+	maxUrlLength = Infinity,
+}) {
+	const cachedChapters = [];
+	const cachedImages = [];
+	const mock = { cachedChapters, cachedImages, failWith: null };
+
+	const server = await startServer((req, url) => {
+		if (mock.failWith) {
+			return { status: mock.failWith, body: { error: "Failing" } };
+		}
+		if (req.url.length > maxUrlLength) {
+			return { status: 414, body: { error: "URI Too Long" } };
+		}
+		if (req.headers.authorization !== `Bearer ${token}`) {
+			return { status: 401, body: { error: "Unauthorized" } };
+		}
+
+		if (url.pathname === "/manga") {
+			const chapterId = url.searchParams.get("chapterId");
+			if (missingChapters.includes(chapterId)) {
+				return { status: 404, body: { error: "Chapter not found" } };
+			}
+			cachedChapters.push(chapterId);
+			return {
+				body: {
+					failedImages: failingChapters.includes(chapterId)
+						? [
+								`https://uploads.mangadex.org/data/${chapterId}/1.png`,
+						  ]
+						: [],
+				},
+			};
+		}
+
+		if (url.pathname === "/generic") {
+			const imageUrls = url.searchParams.getAll("imageUrls");
+			cachedImages.push(...imageUrls);
+			return {
+				body: {
+					failedImages: imageUrls.filter((imageUrl) =>
+						failingImages.includes(imageUrl)
+					),
+				},
+			};
+		}
+
+		return null;
+	});
+
+	return Object.assign(mock, server);
+}
+
+module.exports = {
+	startMockProxy,
+};
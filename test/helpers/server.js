@@ -0,0 +1,158 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const JSZip = require("jszip");
+const logger = require("../../lib/logger");
+const { configureHost } = require("../../lib/limiter");
+
+const fixturesDir = path.join(__dirname, "..", "fixtures");
+
+/**
+ * Read a fixture file.
+ * @param {string} name - The path of the file in test/fixtures.
+ * @returns {string} - The content of the file.
+ */
+function readFixture(name) {
+	return fs.readFileSync(path.join(fixturesDir, name), "utf-8");
+}
+
+/**
+ * Create a temporary directory for a test, with the log files written into it and
+ * the local servers exempt from the rate limits.
+ * @returns {string} - The path to the directory.
+ */
+function setupTestDir() {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "paperback-cacher-"));
+	logger.configure({ dir, quiet: true, level: "error" });
+	// The mock proxy shares the host of the other local servers, and uses the proxy limits during a run
+	configureHost("proxy", { rate: 1000, concurrency: 10 });
+	configureHost("127.0.0.1", { rate: 1000, concurrency: 10 });
+	return dir;
+}
+
+/**
+ * Remove the temporary directory of a test, closing the log files in it.
+ * @param {string} dir - The path to the directory.
+ */
+function removeTestDir(dir) {
+	logger.close();
+	fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Start an HTTP server on a free local port.
+ * @param {Function} handler - Called with the request and its URL, returns the response as
+ *   { status, body, headers }, or null for a 404.
+ * @returns {Promise<Object>} - The server origin, the requests it received and a close function.
+ */
+function startServer(handler) {
+	const requests = [];
+	const server = http.createServer((req, res) => {
+		const url = new URL(req.url, "http://localhost");
+		requests.push({ url, headers: req.headers });
+
+		const response = handler(req, url) ?? {
+			status: 404,
+			body: "Not found",
+		};
+		res.writeHead(response.status ?? 200, response.headers ?? {});
+		res.end(
+			typeof response.body === "string"
+				? response.body
+				: JSON.stringify(response.body)
+		);
+	});
+
+	return new Promise((resolve) => {
+		server.listen(0, "127.0.0.1", () => {
+			resolve({
+				origin: `http://127.0.0.1:${server.address().port}`,
+				requests,
+				close: () => new Promise((done) => server.close(done)),
+			});
+		});
+	});
+}
+
+/**
+ * Serve the recorded pages of Mangadex, Weebcentral and Manganato, at the paths of each site.
+ * @returns {Promise<Object>} - The server, see startServer.
+ */
+function startFixtureServer() {
+	const html = (name) => ({
+		headers: { "Content-Type": "text/html" },
+		body: readFixture(name),
+	});
+	const json = (name) => ({
+		headers: { "Content-Type": "application/json" },
+		body: readFixture(name),
+	});
+
+	return startServer((req, url) => {
+		const { pathname } = url;
+		if (/^\/manga\/[^/]+\/feed$/.test(pathname)) {
+			if (url.searchParams.get("offset") !== "0") {
+				return json("mangadex/feed-empty.json");
+			}
+			// A manga with several releases of its chapters
+			return pathname.includes("00000000eeee")
+				? json("mangadex/feed-releases.json")
+				: json("mangadex/feed.json");
+		}
+		if (/^\/series\/[^/]+\/full-chapter-list$/.test(pathname)) {
+			return html("weebcentral/full-chapter-list.html");
+		}
+		if (/^\/chapters\/[^/]+\/images$/.test(pathname)) {
+			return html("weebcentral/images.html");
+		}
+		if (/^\/manga-[^/]+$/.test(pathname)) {
+			return html("manganato/manga.html");
+		}
+		if (/^\/manga-[^/]+\/chapter-[^/]+$/.test(pathname)) {
+			return html("manganato/chapter.html");
+		}
+		return null;
+	});
+}
+
+/**
+ * Write a Paperback backup archive made of the files in test/fixtures/archive.
+ * @param {string} dir - The directory to write the archive to.
+ * @param {Object} [options] - The options.
+ * @param {Object} [options.sourceManga] - sourcemanga entries added to the fixture ones.
+ * @param {string} [options.fileName] - The name of the archive file.
+ * @returns {Promise<string>} - The path to the archive.
+ */
+async function writeArchive(dir, options = {}) {
+	const zip = new JSZip();
+	const sourceManga = {
+		...JSON.parse(readFixture("archive/sourcemanga.json")),
+		...options.sourceManga,
+	};
+	zip.file("__source_manga_v4", JSON.stringify(sourceManga));
+	zip.file("__chapter_v4", readFixture("archive/chapter.json"));
+	zip.file(
+		"__chapter_progress_marker_v4",
+		readFixture("archive/chapterprogressmarker.json")
+	);
+
+	const archiveFilePath = path.join(
+		dir,
+		options.fileName ?? "Paperback-Archive-Test.zip"
+	);
+	fs.writeFileSync(
+		archiveFilePath,
+		await zip.generateAsync({ type: "nodebuffer" })
+	);
+	return archiveFilePath;
+}
+
+module.exports = {
+	readFixture,
+	setupTestDir,
+	removeTestDir,
+	startServer,
+	startFixtureServer,
+	writeArchive,
+};
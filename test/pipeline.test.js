@@ -0,0 +1,125 @@
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const cli = require("../lib/cli");
+const { loadCache, summarizeCache } = require("../lib/cache");
+const {
+	setupTestDir,
+	removeTestDir,
+	startFixtureServer,
+	writeArchive,
+} = require("./helpers/server");
+const { startMockProxy } = require("./helpers/mock-proxy");
+
+describe("archive to cache pipeline", () => {
+	let dir;
+	let server;
+	let mockProxy;
+	let archiveFilePath;
+	let cacheFilePath;
+
+	before(async () => {
+		dir = setupTestDir();
+		server = await startFixtureServer();
+		mockProxy = await startMockProxy({
+			token: "test-token",
+			failingChapters: ["0b3e4f6a-1c2d-4e5f-8a9b-000000000003"],
+		});
+		process.env.SITE = mockProxy.origin;
+		process.env.TOKEN = "test-token";
+		archiveFilePath = await writeArchive(dir);
+		cacheFilePath = path.join(dir, "cache.json");
+	});
+
+	after(async () => {
+		await server.close();
+		await mockProxy.close();
+		removeTestDir(dir);
+	});
+
+	/**
+	 * Run the command line interface against the local servers.
+	 * @param {string[]} args - The command and its options.
+	 * @returns {Promise<number>} - The exit code.
+	 */
+	function runCli(args) {
+		return cli.main([
+			...args,
+			"--archive",
+			archiveFilePath,
+			"--cache",
+			cacheFilePath,
+			"--report-dir",
+			path.join(dir, "reports"),
+			"--log-dir",
+			dir,
+			"--log-level",
+			"error",
+			"--quiet",
+			"--mirror",
+			`mangadex=${server.origin}`,
+			"--mirror",
+			`weebcentral=${server.origin}`,
+		]);
+	}
+
+	test("a run sends every chapter to the proxy and records the results", async () => {
+		assert.equal(await runCli(["run"]), 0);
+
+		assert.deepEqual([...mockProxy.cachedChapters].sort(), [
+			"0b3e4f6a-1c2d-4e5f-8a9b-000000000001",
+			"0b3e4f6a-1c2d-4e5f-8a9b-000000000002",
+			"0b3e4f6a-1c2d-4e5f-8a9b-000000000003",
+		]);
+		assert.equal(mockProxy.cachedImages.length, 9); // 3 Weebcentral chapters of 3 pages
+
+		const summary = summarizeCache(loadCache(cacheFilePath));
+		assert.equal(summary.mangadex.cached, 2);
+		assert.equal(summary.mangadex.failed, 1);
+		assert.equal(summary.weebcentral.cached, 3);
+		assert.equal(summary.toonily, undefined);
+
+		const reports = fs.readdirSync(path.join(dir, "reports"));
+		assert.deepEqual(reports.map((name) => path.extname(name)).sort(), [
+			".csv",
+			".html",
+			".json",
+		]);
+		assert.ok(!fs.existsSync(`${cacheFilePath}.lock`));
+	});
+
+	test("a second run only retries what failed", async () => {
+		mockProxy.cachedChapters.length = 0;
+		mockProxy.cachedImages.length = 0;
+
+		assert.equal(await runCli(["run", "--no-report"]), 0);
+
+		assert.deepEqual(mockProxy.cachedChapters, [
+			"0b3e4f6a-1c2d-4e5f-8a9b-000000000003",
+		]);
+		assert.equal(mockProxy.cachedImages.length, 0);
+		const record =
+			loadCache(cacheFilePath).sources.mangadex[
+				"8f2a9d3c-0000-4000-8000-00000000ffff"
+			]["0b3e4f6a-1c2d-4e5f-8a9b-000000000003"];
+		assert.equal(record.attempts, 2);
+	});
+
+	test("a dry run doesn't call the proxy or change the cache", async () => {
+		mockProxy.cachedChapters.length = 0;
+		const cacheBefore = fs.readFileSync(cacheFilePath, "utf-8");
+
+		assert.equal(
+			await runCli(["plan", "--json", path.join(dir, "plan.json")]),
+			0
+		);
+
+		assert.deepEqual(mockProxy.cachedChapters, []);
+		assert.equal(fs.readFileSync(cacheFilePath, "utf-8"), cacheBefore);
+		const plan = JSON.parse(
+			fs.readFileSync(path.join(dir, "plan.json"), "utf-8")
+		);
+		assert.equal(plan.totals.toSubmit, 1);
+	});
+});
@@ -0,0 +1,107 @@
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadProfiles, resolveProfile } = require("../lib/profiles");
+const { hostKey, setProxySite } = require("../lib/limiter");
+const { setupTestDir, removeTestDir } = require("./helpers/server");
+
+describe("profiles", () => {
+	let dir;
+
+	before(() => {
+		dir = setupTestDir();
+	});
+
+	after(() => {
+		removeTestDir(dir);
+	});
+
+	/**
+	 * Write a profiles file in the test directory.
+	 * @param {string} name - The file name.
+	 * @param {Object} profiles - The profile definitions.
+	 * @returns {string} - The path to the file.
+	 */
+	function writeProfiles(name, profiles) {
+		const filePath = path.join(dir, name);
+		fs.writeFileSync(filePath, JSON.stringify(profiles), "utf-8");
+		return filePath;
+	}
+
+	test("a profile has its own proxy, token, sources and cache", () => {
+		process.env.TEST_VPS_TOKEN = "vps-token";
+		const profiles = loadProfiles(
+			writeProfiles("profiles.json", {
+				home: { site: "http://192.168.1.2:3000/", token: "home-token" },
+				vps: {
+					site: "https://proxy.example.com",
+					tokenEnv: "TEST_VPS_TOKEN",
+					sources: ["WeebCentral"],
+					cacheFile: path.join(dir, "vps.json"),
+				},
+			})
+		);
+
+		assert.deepEqual(resolveProfile(profiles, "home"), {
+			name: "home",
+			site: "http://192.168.1.2:3000",
+			token: "home-token",
+			sources: null,
+			cacheFile: path.resolve("cache-home.json"),
+		});
+		const vps = resolveProfile(profiles, "vps");
+		assert.equal(vps.token, "vps-token");
+		assert.deepEqual(vps.sources, ["weebcentral"]);
+		assert.equal(vps.cacheFile, path.join(dir, "vps.json"));
+
+		assert.throws(() => resolveProfile(profiles, "work"), {
+			message: 'Unknown profile "work", the profiles are: home, vps',
+		});
+	});
+
+	test("every problem of a profiles file is listed", () => {
+		const filePath = writeProfiles("invalid.json", {
+			home: { site: "not a url", token: 1, sources: ["nowhere"] },
+			"v p s": { site: "https://proxy.example.com", tokens: "typo" },
+		});
+
+		assert.throws(
+			() => loadProfiles(filePath),
+			(error) => {
+				assert.match(error.message, /^Invalid profiles in /);
+				assert.match(error.message, /"home": site must be the URL/);
+				assert.match(error.message, /"home": token must be a string/);
+				assert.match(
+					error.message,
+					/"home": unsupported source\(s\) nowhere/
+				);
+				assert.match(error.message, /"v p s": names can only have/);
+				assert.match(error.message, /"v p s": unknown key\(s\) tokens/);
+				return true;
+			}
+		);
+	});
+
+	test("proxies on the same machine have their own limits", () => {
+		setProxySite("http://127.0.0.1:8001", "proxy:first");
+		setProxySite("http://127.0.0.1:8002", "proxy:second");
+		try {
+			assert.equal(hostKey("http://127.0.0.1:8001/manga"), "proxy:first");
+			assert.equal(
+				hostKey("http://127.0.0.1:8002/generic"),
+				"proxy:second"
+			);
+			assert.equal(hostKey("http://127.0.0.1:8003/generic"), "127.0.0.1");
+		} finally {
+			setProxySite(null, "proxy:first");
+			setProxySite(null, "proxy:second");
+		}
+	});
+
+	test("a missing profiles file is reported", () => {
+		assert.throws(() => loadProfiles(path.join(dir, "missing.json")), {
+			message: /The profiles file .*missing\.json doesn't exist/,
+		});
+	});
+});
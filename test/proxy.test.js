@@ -0,0 +1,176 @@
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const proxy = require("../lib/proxy");
+const { RequestError } = require("../lib/request");
+const { setupTestDir, removeTestDir } = require("./helpers/server");
+const { startMockProxy } = require("./helpers/mock-proxy");
+
+describe("proxy requests", () => {
+	let dir;
+	let mockProxy;
+	let server;
+
+	before(async () => {
+		dir = setupTestDir();
+		mockProxy = await startMockProxy({
+			token: "test-token",
+			failingChapters: ["broken-chapter"],
+			missingChapters: ["missing-chapter"],
+			failingImages: ["https://images.example/broken.png"],
+			maxUrlLength: 2000,
+		});
+		server = { site: mockProxy.origin, token: "test-token" };
+	});
+
+	after(async () => {
+		await mockProxy.close();
+		removeTestDir(dir);
+	});
+
+	test("a /manga chapter without failed images is cached", async () => {
+		const result = await proxy.cacheMangaChapter(server, "good-chapter");
+
+		assert.deepEqual(result, {
+			success: true,
+			pageCount: null,
+			failedImages: [],
+		});
+		const { headers } = mockProxy.requests.at(-1);
+		assert.equal(headers.referer, mockProxy.origin);
+	});
+
+	test("failed images of a /manga chapter are reported", async () => {
+		const result = await proxy.cacheMangaChapter(server, "broken-chapter");
+
+		assert.equal(result.success, false);
+		assert.deepEqual(result.failedImages, [
+			"https://uploads.mangadex.org/data/broken-chapter/1.png",
+		]);
+	});
+
+	test("a /manga chapter the proxy refuses fails the chapter, not the proxy", async () => {
+		await assert.rejects(
+			proxy.cacheMangaChapter(server, "missing-chapter"),
+			(error) => {
+				assert.equal(error.status, 404);
+				assert.equal(error.proxy, false);
+				return true;
+			}
+		);
+		await assert.rejects(
+			proxy.cacheMangaChapter(
+				{ ...server, token: "wrong-token" },
+				"good-chapter"
+			),
+			{ status: 401, proxy: true }
+		);
+	});
+
+	test("/generic images are sent in chunks and failures collected", async () => {
+		const pages = Array.from(
+			{ length: 25 },
+			(_, i) => `https://images.example/${i + 1}.png`
+		);
+		pages[22] = "https://images.example/broken.png";
+		const before = mockProxy.requests.length;
+
+		const result = await proxy.cacheGenericImages(
+			server,
+			"chapter",
+			pages,
+			{
+				maxUrlLength: 1000,
+			}
+		);
+
+		assert.equal(result.success, false);
+		assert.equal(result.pageCount, 25);
+		assert.deepEqual(result.failedImages, [
+			"https://images.example/broken.png",
+		]);
+		assert.equal(
+			result.images["https://images.example/broken.png"],
+			"failed"
+		);
+		assert.equal(result.images["https://images.example/1.png"], "cached");
+		const requests = mockProxy.requests.slice(before);
+		assert.equal(requests.length, 2);
+		assert.ok(requests.every(({ url }) => url.href.length <= 1000));
+		assert.deepEqual(mockProxy.cachedImages.slice(-25), pages);
+	});
+
+	test("/generic image URLs keep their own query strings", async () => {
+		const pages = [
+			"https://xfs-n01.batcg.org/comic/7006/abc/64f0a1-1.webp?acc=tok1&exp=1",
+			"https://xfs-n01.batcg.org/comic/7006/abc/64f0a1-2.webp?acc=a+b/c=&exp=2",
+		];
+
+		const result = await proxy.cacheGenericImages(server, "chapter", pages);
+
+		assert.equal(result.success, true);
+		assert.deepEqual(mockProxy.cachedImages.slice(-2), pages);
+	});
+
+	test("a /generic chunk the proxy refuses only fails its own images", async () => {
+		const tooLong = `https://images.example/${"x".repeat(2500)}.png`;
+		const pages = [
+			"https://images.example/a.png",
+			tooLong,
+			"https://images.example/b.png",
+		];
+
+		const result = await proxy.cacheGenericImages(
+			server,
+			"chapter",
+			pages,
+			{
+				maxUrlLength: 1000,
+			}
+		);
+
+		assert.equal(result.success, false);
+		assert.deepEqual(result.failedImages, [tooLong]);
+		assert.deepEqual(result.images, {
+			"https://images.example/a.png": "cached",
+			[tooLong]: "failed",
+			"https://images.example/b.png": "cached",
+		});
+	});
+
+	test("requests are split by the length of their URL", () => {
+		const endpoint = "https://proxy.example/generic";
+		const images = [
+			"https://a.example/1.png?t=1&u=2",
+			"https://a.example/2.png",
+		];
+		const single = proxy.buildGenericRequests(endpoint, images);
+		assert.equal(single.length, 1);
+		assert.equal(
+			single[0].url,
+			`${endpoint}?imageUrls=https%3A%2F%2Fa.example%2F1.png%3Ft%3D1%26u%3D2&imageUrls=https%3A%2F%2Fa.example%2F2.png`
+		);
+
+		const split = proxy.buildGenericRequests(endpoint, images, 100);
+		assert.deepEqual(
+			split.map((request) => request.images),
+			[[images[0]], [images[1]]]
+		);
+		assert.ok(split.every(({ url }) => url.length <= 100));
+	});
+
+	test("a wrong token is a client error that isn't retried", async () => {
+		await assert.rejects(
+			proxy.cacheMangaChapter(
+				{ ...server, token: "wrong-token" },
+				"good-chapter"
+			),
+			(error) => {
+				assert.ok(error instanceof RequestError);
+				assert.equal(error.kind, "client");
+				assert.equal(error.status, 401);
+				assert.equal(error.attempts, 1);
+				return true;
+			}
+		);
+	});
+});
@@ -0,0 +1,104 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+	parseRange,
+	createSelection,
+	isMangaSelected,
+	getChapterRules,
+	selectChapters,
+} = require("../lib/selection");
+
+describe("chapter selection", () => {
+	const entry = {
+		mangaId: "8f2a9d3c-0000-4000-8000-00000000ffff",
+		sourceId: "MangaDex",
+		originalInfo: { titles: ["Test Dex Manga", "Alternative Title"] },
+	};
+	const chapters = [
+		{ id: "c5", number: 5 },
+		{ id: "c4", number: 4 },
+		{ id: "extra", number: null },
+		{ id: "c3", number: 3 },
+		{ id: "c2", number: 2 },
+		{ id: "c1", number: 1 },
+	];
+	const ids = (list) => list.map((chapter) => chapter.id);
+
+	test("ranges can be open ended or a single chapter", () => {
+		assert.deepEqual(parseRange("10-50"), { from: 10, to: 50 });
+		assert.deepEqual(parseRange("100-"), { from: 100, to: null });
+		assert.deepEqual(parseRange(" -20 "), { from: null, to: 20 });
+		assert.deepEqual(parseRange("12.5"), { from: 12.5, to: 12.5 });
+		for (const invalid of ["", "-", "50-10", "1 2", "one"]) {
+			assert.equal(parseRange(invalid), null, invalid);
+		}
+	});
+
+	test("the latest chapters are kept in source order", () => {
+		const selection = createSelection({ latest: 2 });
+
+		assert.deepEqual(
+			ids(selectChapters(chapters, getChapterRules(selection, entry))),
+			["c5", "c4"]
+		);
+	});
+
+	test("ranges are applied before latest, without unnumbered chapters", () => {
+		const selection = createSelection({ ranges: ["-2", "4"] });
+		const rules = getChapterRules(selection, entry);
+		assert.deepEqual(ids(selectChapters(chapters, rules)), [
+			"c4",
+			"c2",
+			"c1",
+		]);
+
+		rules.latest = 2;
+		assert.deepEqual(ids(selectChapters(chapters, rules)), ["c4", "c2"]);
+	});
+
+	test("the archive numbers chapters the source doesn't", () => {
+		const progress = { chapterNumbers: new Map([["extra", 6]]) };
+		const rules = getChapterRules(createSelection({ latest: 1 }), entry);
+
+		assert.deepEqual(ids(selectChapters(chapters, rules, progress)), [
+			"extra",
+		]);
+	});
+
+	test("a manga's rules replace the global ones", () => {
+		const selection = createSelection({
+			latest: 2,
+			ranges: ["3-"],
+			manga: {
+				"alternative  TITLE": { latest: 0 },
+				"some other manga": { latest: 10 },
+			},
+		});
+
+		assert.deepEqual(getChapterRules(selection, entry), {
+			latest: null,
+			ranges: [{ from: 3, to: null }],
+		});
+		assert.deepEqual(
+			getChapterRules(selection, { ...entry, originalInfo: null }),
+			{ latest: 2, ranges: [{ from: 3, to: null }] }
+		);
+	});
+
+	test("manga are included and excluded by mangaId or title", () => {
+		const other = { mangaId: "12345", sourceId: "Toonily" };
+
+		const included = createSelection({ include: ["test dex manga"] });
+		assert.equal(isMangaSelected(included, entry), true);
+		assert.equal(isMangaSelected(included, other), false);
+
+		const excluded = createSelection({
+			include: ["Test Dex Manga", "12345"],
+			exclude: ["12345"],
+		});
+		assert.equal(isMangaSelected(excluded, entry), true);
+		assert.equal(isMangaSelected(excluded, other), false);
+
+		assert.equal(isMangaSelected(createSelection(), other), true);
+	});
+});
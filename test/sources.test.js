@@ -0,0 +1,261 @@
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const sources = require("../lib/sources");
+const { configureMirrors } = require("../lib/mirrors");
+const {
+	readFixture,
+	setupTestDir,
+	removeTestDir,
+	startFixtureServer,
+} = require("./helpers/server");
+
+describe("source adapters", () => {
+	let dir;
+	let server;
+
+	before(async () => {
+		dir = setupTestDir();
+		server = await startFixtureServer();
+		for (const sourceId of ["mangadex", "weebcentral", "manganato"]) {
+			configureMirrors(sourceId, [server.origin]);
+		}
+	});
+
+	after(async () => {
+		await server.close();
+		removeTestDir(dir);
+	});
+
+	test("mangadex lists the chapters of every feed page", async () => {
+		const chapters = await sources
+			.getSource("mangadex")
+			.listChapters("8f2a9d3c-0000-4000-8000-00000000ffff");
+
+		assert.deepEqual(chapters, [
+			{ id: "0b3e4f6a-1c2d-4e5f-8a9b-000000000001", number: 1 },
+			{ id: "0b3e4f6a-1c2d-4e5f-8a9b-000000000002", number: 2 },
+			{ id: "0b3e4f6a-1c2d-4e5f-8a9b-000000000003", number: 2.5 },
+		]);
+		const offsets = server.requests
+			.filter(({ url }) => url.pathname.endsWith("/feed"))
+			.map(({ url }) => url.searchParams.get("offset"));
+		assert.deepEqual(offsets, ["0", "500"]);
+	});
+
+	test("mangadex pages the feed by the configured limit", async () => {
+		sources.configureSource("mangadex", { feedLimit: 100 });
+		const requests = server.requests.length;
+		try {
+			await sources
+				.getSource("mangadex")
+				.listChapters("8f2a9d3c-0000-4000-8000-00000000ffff");
+		} finally {
+			sources.configureSource("mangadex", { feedLimit: 500 });
+		}
+
+		const pages = server.requests
+			.slice(requests)
+			.map(({ url }) => [
+				url.searchParams.get("limit"),
+				url.searchParams.get("offset"),
+			]);
+		assert.deepEqual(pages, [
+			["100", "0"],
+			["100", "100"],
+		]);
+	});
+
+	test("mangadex keeps the best release of each chapter", async () => {
+		const adapter = sources.getSource("mangadex");
+		const mangaId = "8f2a9d3c-0000-4000-8000-00000000eeee";
+		const ids = (chapters) =>
+			chapters.map(({ id }) => Number(id.slice(-3)));
+
+		// The external chapter 4 is never listed
+		assert.deepEqual(
+			ids(await adapter.listChapters(mangaId)),
+			[101, 103, 105]
+		);
+
+		sources.configureSource("mangadex", {
+			languages: ["en", "es"],
+			contentRatings: ["safe", "suggestive"],
+			preferredGroups: ["5e1b7c4d-0000-4000-8000-00000000bbbb"],
+			blockedGroups: ["5e1b7c4d-0000-4000-8000-00000000cccc"],
+		});
+		try {
+			assert.deepEqual(
+				ids(await adapter.listChapters(mangaId)),
+				[102, 103]
+			);
+			const query = server.requests.at(-2).url.searchParams;
+			assert.deepEqual(query.getAll("translatedLanguage[]"), [
+				"en",
+				"es",
+			]);
+			assert.deepEqual(query.getAll("contentRating[]"), [
+				"safe",
+				"suggestive",
+			]);
+
+			// The language of the manga in the archive wins
+			const manga = {
+				mangaId,
+				originalInfo: { additionalInfo: { langFlag: "es" } },
+			};
+			assert.deepEqual(
+				ids(await adapter.listChapters(mangaId, {}, manga)),
+				[102, 104]
+			);
+			assert.deepEqual(
+				server.requests
+					.at(-2)
+					.url.searchParams.getAll("translatedLanguage[]"),
+				["es"]
+			);
+
+			sources.configureSource("mangadex", { dedupe: false });
+			assert.deepEqual(
+				ids(await adapter.listChapters(mangaId)),
+				[101, 102, 103, 104]
+			);
+		} finally {
+			sources.configureSource("mangadex", {
+				languages: ["en"],
+				contentRatings: [
+					"safe",
+					"suggestive",
+					"erotica",
+					"pornographic",
+				],
+				preferredGroups: [],
+				blockedGroups: [],
+				dedupe: true,
+			});
+		}
+	});
+
+	test("weebcentral lists chapters and their page images", async () => {
+		const adapter = sources.getSource("weebcentral");
+		const chapters = await adapter.listChapters(
+			"01J76XYSERIES00000000000001"
+		);
+		assert.deepEqual(chapters, [
+			{ id: "01J76XYCHAP000000000000003", number: 3 },
+			{ id: "01J76XYCHAP000000000000002", number: 2 },
+			{ id: "01J76XYCHAP000000000000001", number: 1 },
+		]);
+
+		const pages = await adapter.getPageUrls(chapters[2].id);
+		assert.deepEqual(pages, [
+			"https://scans.lastation.us/manga/Test-Series/0001-001.png",
+			"https://scans.lastation.us/manga/Test-Series/0001-002.png",
+			"https://scans.lastation.us/manga/Test-Series/0001-003.png",
+		]);
+	});
+
+	test("manganato requests the working mirror and keeps canonical ids", async () => {
+		const adapter = sources.getSource("manganato");
+		// The archive has the manga on a former domain, the page comes from the mirror
+		const mangaId = "https://chapmanganato.to/manga-ab123456";
+		assert.equal(
+			adapter.canonicalMangaId(mangaId),
+			"https://manganato.com/manga-ab123456"
+		);
+		const chapters = await adapter.listChapters(mangaId);
+		assert.deepEqual(chapters, [
+			{ id: "https://manganato.com/manga-ab123456/chapter-3", number: 3 },
+			// Listed on a default mirror, which the tests replaced
+			{ id: "https://manganato.com/manga-ab123456/chapter-2", number: 2 },
+			{ id: "https://manganato.com/manga-ab123456/chapter-1", number: 1 },
+		]);
+		assert.equal(server.requests.at(-1).url.pathname, "/manga-ab123456");
+
+		const pages = await adapter.getPageUrls(chapters[2].id);
+		assert.equal(pages.length, 3);
+		assert.ok(pages.every((page) => !page.includes("?undefined")));
+
+		const chapterRequest = server.requests.at(-1);
+		assert.equal(chapterRequest.url.pathname, "/manga-ab123456/chapter-1");
+		assert.equal(chapterRequest.headers.referer, server.origin);
+	});
+
+	test("batoto decrypts the image tokens of a chapter", async () => {
+		const adapter = sources.getSource("batoto");
+		const pages = {
+			"/series/7006": readFixture("batoto/series.html"),
+			"/chapter/2300001": readFixture("batoto/chapter.html"),
+		};
+		const loaded = [];
+		// Stands in for the BrowserPool, which needs Chromium
+		const browser = {
+			fetchContent: async (url, options) => {
+				loaded.push({ url, referer: options.referer });
+				return pages[new URL(url).pathname];
+			},
+		};
+
+		const chapters = await adapter.listChapters("7006", { browser });
+		assert.deepEqual(chapters, [
+			{ id: "2300002", number: 2 },
+			{ id: "2300001", number: 1 },
+			{ id: "2300000", number: null },
+		]);
+
+		const imageUrls = await adapter.getPageUrls("2300001", { browser });
+		assert.deepEqual(imageUrls, [
+			"https://xfs-n01.batcg.org/comic/7006/abc/64f0a1-1.webp?acc=tok1&exp=1",
+			"https://xfs-n01.batcg.org/comic/7006/abc/64f0a1-2.webp?acc=tok2&exp=2",
+		]);
+		assert.deepEqual(loaded[0], {
+			url: "https://batocomic.org/series/7006",
+			referer: "https://batocomic.org",
+		});
+	});
+
+	test("batoto refuses a batoPass that reaches for the process", async () => {
+		const adapter = sources.getSource("batoto");
+		const html = readFixture("batoto/chapter.html").replace(
+			"const batoPass = (+!+[])+[+[]]+(!![]+[]);",
+			"const batoPass = process.env.TOKEN;"
+		);
+		const browser = { fetchContent: async () => html };
+
+		await assert.rejects(adapter.getPageUrls("2300001", { browser }), {
+			message:
+				/Error evaluating batoPass for chapter 2300001: process is not defined/,
+		});
+	});
+
+	test("batoto keeps a hostile thrown value inside the time limit", async () => {
+		const adapter = sources.getSource("batoto");
+		const withBatoPass = (expression) => {
+			const html = readFixture("batoto/chapter.html").replace(
+				"const batoPass = (+!+[])+[+[]]+(!![]+[]);",
+				`const batoPass = ${expression};`
+			);
+			return { fetchContent: async () => html };
+		};
+
+		// A message getter that never returns used to hang the process
+		const startedAt = Date.now();
+		await assert.rejects(
+			adapter.getPageUrls("2300001", {
+				browser: withBatoPass(
+					"(() => { throw { get message() { while (true) {} } } })()"
+				),
+			}),
+			{ message: /Error evaluating batoPass .*timed out/ }
+		);
+		assert.ok(Date.now() - startedAt < 5000);
+
+		await assert.rejects(
+			adapter.getPageUrls("2300001", {
+				browser: withBatoPass(
+					"(() => { throw { toString() { return process.env.TOKEN } } })()"
+				),
+			}),
+			{ message: /can't be described/ }
+		);
+	});
+});
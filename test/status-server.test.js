@@ -0,0 +1,95 @@
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const EventEmitter = require("events");
+const { StatusServer } = require("../lib/status-server");
+const { scheduleRequest } = require("../lib/limiter");
+const { setupTestDir, removeTestDir } = require("./helpers/server");
+
+describe("status server", () => {
+	let dir;
+	let cacher;
+	let statusServer;
+	let url;
+
+	before(async () => {
+		dir = setupTestDir();
+		// The server only listens to the events of the Cacher
+		cacher = new EventEmitter();
+		statusServer = new StatusServer(cacher);
+		url = await statusServer.listen(0);
+	});
+
+	after(async () => {
+		await statusServer.close();
+		removeTestDir(dir);
+	});
+
+	test("/status follows the progress of a run", async () => {
+		assert.deepEqual(await (await fetch(`${url}/status`)).json(), {
+			running: false,
+			run: null,
+		});
+
+		cacher.emit("runStarted", {
+			archive: "a.zip",
+			dryRun: false,
+			entries: 4,
+		});
+		cacher.emit("mangaStarted", {
+			sourceId: "mangadex",
+			mangaId: "m1",
+			position: "(1/4)",
+		});
+		cacher.emit("chapterCached", { sourceId: "mangadex", mangaId: "m1" });
+		cacher.emit("mangaFinished", { sourceId: "mangadex", mangaId: "m1" });
+		cacher.emit("mangaStarted", {
+			sourceId: "mangadex",
+			mangaId: "m2",
+			position: "(2/4)",
+		});
+
+		const { running, run } = await (await fetch(`${url}/status`)).json();
+		assert.equal(running, true);
+		assert.equal(run.total, 4);
+		assert.equal(run.done, 1);
+		assert.equal(run.cached, 1);
+		assert.deepEqual(
+			run.current.map(({ mangaId, position }) => ({ mangaId, position })),
+			[{ mangaId: "m2", position: "(2/4)" }]
+		);
+		assert.ok(run.remainingMs >= 0);
+		assert.ok(Date.parse(run.eta) >= Date.parse(run.startedAt));
+
+		cacher.emit("runFinished", { finishedAt: new Date() });
+		const finished = await (await fetch(`${url}/status`)).json();
+		assert.equal(finished.running, false);
+		assert.equal(finished.run.eta, null);
+		assert.deepEqual(finished.run.current, []);
+	});
+
+	test("/metrics has the request durations in the Prometheus format", async () => {
+		await scheduleRequest("http://api.example.test/page", async () => "ok");
+
+		const response = await fetch(`${url}/metrics`);
+		assert.match(response.headers.get("content-type"), /^text\/plain/);
+		const body = await response.text();
+		assert.match(
+			body,
+			/# TYPE paperback_cacher_request_duration_seconds histogram/
+		);
+		assert.match(
+			body,
+			/paperback_cacher_request_duration_seconds_count\{host="api.example.test",outcome="success"\} 1/
+		);
+		assert.match(
+			body,
+			/paperback_cacher_queue_depth\{host="api.example.test"\} 0/
+		);
+	});
+
+	test("other paths are not found", async () => {
+		const response = await fetch(`${url}/`);
+		assert.equal(response.status, 404);
+		await response.text();
+	});
+});